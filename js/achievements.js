@@ -0,0 +1,319 @@
+/**
+ * Achievements
+ * Badges for streaks, study hours, questions answered and accuracy, a celebration modal
+ * with confetti, and a trophy shelf of everything earned so far
+ */
+
+const Achievements = {
+    // DOM elements
+    elements: {
+        shelf: null,
+        shelfSummary: null,
+        modal: null,
+        modalIcon: null,
+        modalTitle: null,
+        modalText: null,
+        modalClose: null,
+        canvas: null
+    },
+
+    // Badge groups on the trophy shelf (key: label)
+    CATEGORIES: {
+        streak: '🔥 Streaks',
+        hours: '⏱️ Study Hours',
+        questions: '🧩 Questions Answered',
+        accuracy: '🎯 Accuracy'
+    },
+
+    // Badge definitions: a badge unlocks once its metric reaches the threshold (message replaces the description when celebrating)
+    BADGES: [
+        { id: 'streak_3', category: 'streak', icon: '✨', title: 'Getting Started', description: 'Study 3 days in a row', metric: 'longestStreak', threshold: 3, message: 'Amazing! You\'ve built a 3-day streak! 🎉' },
+        { id: 'streak_7', category: 'streak', icon: '🔥', title: 'Week Warrior', description: 'Study 7 days in a row', metric: 'longestStreak', threshold: 7, message: 'Incredible! One week of consistent studying! 🔥' },
+        { id: 'streak_14', category: 'streak', icon: '💪', title: 'Fortnight Focus', description: 'Study 14 days in a row', metric: 'longestStreak', threshold: 14, message: 'Two weeks strong! Your dedication is inspiring! 💪' },
+        { id: 'streak_30', category: 'streak', icon: '🌟', title: 'Monthly Master', description: 'Study 30 days in a row', metric: 'longestStreak', threshold: 30, message: 'WOW! 30 days! You\'re unstoppable! 🌟' },
+        { id: 'streak_50', category: 'streak', icon: '🏆', title: 'Fifty Strong', description: 'Study 50 days in a row', metric: 'longestStreak', threshold: 50, message: 'FIFTY DAYS! That\'s extraordinary commitment! 🏆' },
+        { id: 'streak_100', category: 'streak', icon: '👑', title: 'Studying Legend', description: 'Study 100 days in a row', metric: 'longestStreak', threshold: 100, message: 'ONE HUNDRED DAYS!!! You\'re a studying legend! 👑' },
+        { id: 'hours_1', category: 'hours', icon: '⏳', title: 'First Hour', description: 'Study for 1 hour in total', metric: 'hours', threshold: 1 },
+        { id: 'hours_10', category: 'hours', icon: '📚', title: 'Bookworm', description: 'Study for 10 hours in total', metric: 'hours', threshold: 10 },
+        { id: 'hours_25', category: 'hours', icon: '🧠', title: 'Deep Thinker', description: 'Study for 25 hours in total', metric: 'hours', threshold: 25 },
+        { id: 'hours_50', category: 'hours', icon: '🎓', title: 'Scholar', description: 'Study for 50 hours in total', metric: 'hours', threshold: 50 },
+        { id: 'hours_100', category: 'hours', icon: '⚖️', title: 'Future Lawyer', description: 'Study for 100 hours in total', metric: 'hours', threshold: 100 },
+        { id: 'questions_10', category: 'questions', icon: '🧩', title: 'Warming Up', description: 'Answer 10 questions', metric: 'questions', threshold: 10 },
+        { id: 'questions_50', category: 'questions', icon: '✏️', title: 'Question Crusher', description: 'Answer 50 questions', metric: 'questions', threshold: 50 },
+        { id: 'questions_100', category: 'questions', icon: '💯', title: 'Century', description: 'Answer 100 questions', metric: 'questions', threshold: 100 },
+        { id: 'questions_250', category: 'questions', icon: '🚀', title: 'Unstoppable', description: 'Answer 250 questions', metric: 'questions', threshold: 250 },
+        { id: 'questions_500', category: 'questions', icon: '🏛️', title: 'Question Bank Vault', description: 'Answer 500 questions', metric: 'questions', threshold: 500 },
+        { id: 'accuracy_60', category: 'accuracy', icon: '🎯', title: 'On Target', description: 'Reach 60% accuracy over at least 25 graded answers', metric: 'accuracy', threshold: 60 },
+        { id: 'accuracy_70', category: 'accuracy', icon: '🏹', title: 'Sharpshooter', description: 'Reach 70% accuracy over at least 25 graded answers', metric: 'accuracy', threshold: 70 },
+        { id: 'accuracy_80', category: 'accuracy', icon: '💎', title: 'Precision', description: 'Reach 80% accuracy over at least 25 graded answers', metric: 'accuracy', threshold: 80 },
+        { id: 'accuracy_90', category: 'accuracy', icon: '🦉', title: 'Logic Wizard', description: 'Reach 90% accuracy over at least 25 graded answers', metric: 'accuracy', threshold: 90 }
+    ],
+
+    // Graded answers needed before accuracy badges can unlock
+    MIN_GRADED_FOR_ACCURACY: 25,
+
+    // How long the confetti falls (milliseconds)
+    CONFETTI_DURATION: 3500,
+
+    // Confetti colors
+    CONFETTI_COLORS: ['#6366f1', '#8b5cf6', '#ec4899', '#10b981', '#f59e0b', '#818cf8'],
+
+    // Celebrations waiting for the modal (one shown at a time)
+    queue: [],
+
+    // Running confetti animation frame
+    confettiFrame: null,
+
+    /**
+     * Initialize achievements
+     * Badges already deserved from earlier history are added quietly
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.shelf = document.getElementById('trophyShelf');
+        this.elements.shelfSummary = document.getElementById('trophySummary');
+        this.elements.modal = document.getElementById('celebrationModal');
+        this.elements.modalIcon = document.getElementById('celebrationModalIcon');
+        this.elements.modalTitle = document.getElementById('celebrationModalTitle');
+        this.elements.modalText = document.getElementById('celebrationModalText');
+        this.elements.modalClose = document.getElementById('closeCelebrationModal');
+        this.elements.canvas = document.getElementById('confettiCanvas');
+
+        // Set up event listeners
+        this.elements.modalClose.addEventListener('click', () => this.closeModal());
+        this.elements.modal.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) this.closeModal();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.elements.modal.classList.contains('hidden')) this.closeModal();
+        });
+        document.addEventListener('sessionLogChanged', () => this.check());
+        document.addEventListener('questionAnswered', () => this.check());
+
+        this.check(false);
+    },
+
+    /**
+     * Get the current value of every badge metric
+     * @returns {Object} longestStreak, hours, questions and accuracy (null until enough graded answers)
+     */
+    getMetrics() {
+        // Answers held for blind review are left out, so a badge can't give their result away
+        const summary = Stats.summarize(Stats.collectAttempts());
+
+        return {
+            longestStreak: Streak.getLongestStreak(),
+            hours: Storage.getTimerData().totalMinutes / 60,
+            questions: summary.attempts,
+            accuracy: summary.graded >= this.MIN_GRADED_FOR_ACCURACY ? summary.accuracy : null
+        };
+    },
+
+    /**
+     * Unlock any badges that have just been earned, then re-render the shelf
+     * @param {boolean} celebrate - Show the celebration modal for new badges
+     * @returns {Array} Newly unlocked badges
+     */
+    check(celebrate = true) {
+        const metrics = this.getMetrics();
+        const unlocked = Storage.getAchievements();
+        const earned = this.BADGES.filter(badge => {
+            const value = metrics[badge.metric];
+            return !unlocked[badge.id] && value !== null && value >= badge.threshold;
+        });
+
+        if (earned.length > 0) {
+            const now = new Date().toISOString();
+            earned.forEach(badge => {
+                unlocked[badge.id] = now;
+            });
+            Storage.setAchievements(unlocked);
+
+            if (celebrate) {
+                earned.forEach(badge => this.celebrate({
+                    icon: badge.icon,
+                    title: `Badge unlocked: ${badge.title}`,
+                    text: badge.message || badge.description
+                }));
+            }
+        }
+
+        this.renderShelf(metrics, unlocked);
+        return earned;
+    },
+
+    /**
+     * Render every badge by category, earned ones with the date they were unlocked
+     * @param {Object} metrics - Current metric values
+     * @param {Object} unlocked - Unlock dates by badge ID
+     */
+    renderShelf(metrics = this.getMetrics(), unlocked = Storage.getAchievements()) {
+        const earnedCount = this.BADGES.filter(badge => unlocked[badge.id]).length;
+        this.elements.shelfSummary.textContent = `${earnedCount} of ${this.BADGES.length} badges earned`;
+        this.elements.shelf.innerHTML = '';
+
+        Object.entries(this.CATEGORIES).forEach(([category, label]) => {
+            const heading = document.createElement('h3');
+            heading.className = 'trophy-category';
+            heading.textContent = label;
+            this.elements.shelf.appendChild(heading);
+
+            const row = document.createElement('div');
+            row.className = 'trophy-row';
+            this.BADGES
+                .filter(badge => badge.category === category)
+                .forEach(badge => row.appendChild(this.createBadge(badge, metrics, unlocked[badge.id])));
+            this.elements.shelf.appendChild(row);
+        });
+    },
+
+    /**
+     * Create a badge tile
+     * @param {Object} badge - Badge definition
+     * @param {Object} metrics - Current metric values
+     * @param {string|undefined} unlockedAt - ISO date earned, if earned
+     * @returns {HTMLElement} Badge tile
+     */
+    createBadge(badge, metrics, unlockedAt) {
+        const tile = document.createElement('div');
+        tile.className = 'trophy';
+        tile.classList.toggle('locked', !unlockedAt);
+        tile.title = badge.description;
+
+        const icon = document.createElement('span');
+        icon.className = 'trophy-icon';
+        icon.textContent = unlockedAt ? badge.icon : '🔒';
+
+        const title = document.createElement('span');
+        title.className = 'trophy-title';
+        title.textContent = badge.title;
+
+        const status = document.createElement('span');
+        status.className = 'trophy-status';
+        status.textContent = unlockedAt
+            ? `Earned ${new Date(unlockedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+            : this.formatProgress(badge, metrics[badge.metric]);
+
+        tile.append(icon, title, status);
+        return tile;
+    },
+
+    /**
+     * Describe how close a locked badge is
+     * @param {Object} badge - Badge definition
+     * @param {number|null} value - Current metric value
+     * @returns {string} Progress text
+     */
+    formatProgress(badge, value) {
+        switch (badge.metric) {
+            case 'accuracy':
+                return value === null
+                    ? `Needs ${this.MIN_GRADED_FOR_ACCURACY} graded answers`
+                    : `${value}% / ${badge.threshold}%`;
+            case 'hours':
+                return `${Math.floor(value * 10) / 10} / ${badge.threshold} hours`;
+            case 'longestStreak':
+                return `Best ${value} / ${badge.threshold} days`;
+            default:
+                return `${value} / ${badge.threshold}`;
+        }
+    },
+
+    /**
+     * Queue a celebration in the modal
+     * @param {Object} celebration - icon, title and text to show
+     */
+    celebrate(celebration) {
+        this.queue.push(celebration);
+        if (this.elements.modal.classList.contains('hidden')) {
+            this.showNext();
+        }
+    },
+
+    /**
+     * Show the next queued celebration with a burst of confetti
+     */
+    showNext() {
+        const celebration = this.queue.shift();
+        if (!celebration) return;
+
+        this.elements.modalIcon.textContent = celebration.icon;
+        this.elements.modalTitle.textContent = celebration.title;
+        this.elements.modalText.textContent = celebration.text;
+        this.elements.modal.classList.remove('hidden');
+        this.elements.modalClose.focus();
+
+        this.launchConfetti();
+    },
+
+    /**
+     * Close the modal, moving on to the next celebration if there is one
+     */
+    closeModal() {
+        this.elements.modal.classList.add('hidden');
+        this.stopConfetti();
+        this.showNext();
+    },
+
+    /**
+     * Animate confetti falling across the screen
+     */
+    launchConfetti() {
+        const canvas = this.elements.canvas;
+        const ctx = canvas.getContext ? canvas.getContext('2d') : null;
+        if (!ctx || (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches)) return;
+
+        this.stopConfetti();
+        canvas.width = window.innerWidth;
+        canvas.height = window.innerHeight;
+        canvas.classList.remove('hidden');
+
+        const pieces = Array.from({ length: 150 }, () => ({
+            x: Math.random() * canvas.width,
+            y: -20 - Math.random() * canvas.height * 0.5,
+            size: 6 + Math.random() * 6,
+            speed: 2 + Math.random() * 4,
+            drift: -1.5 + Math.random() * 3,
+            angle: Math.random() * Math.PI * 2,
+            spin: -0.2 + Math.random() * 0.4,
+            color: this.CONFETTI_COLORS[Math.floor(Math.random() * this.CONFETTI_COLORS.length)]
+        }));
+        const start = performance.now();
+
+        const draw = (now) => {
+            ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+            pieces.forEach(piece => {
+                piece.y += piece.speed;
+                piece.x += piece.drift;
+                piece.angle += piece.spin;
+
+                ctx.save();
+                ctx.translate(piece.x, piece.y);
+                ctx.rotate(piece.angle);
+                ctx.fillStyle = piece.color;
+                ctx.fillRect(-piece.size / 2, -piece.size / 4, piece.size, piece.size / 2);
+                ctx.restore();
+            });
+
+            if (now - start < this.CONFETTI_DURATION) {
+                this.confettiFrame = requestAnimationFrame(draw);
+            } else {
+                this.stopConfetti();
+            }
+        };
+
+        this.confettiFrame = requestAnimationFrame(draw);
+    },
+
+    /**
+     * Stop the confetti and clear the canvas
+     */
+    stopConfetti() {
+        if (this.confettiFrame) {
+            cancelAnimationFrame(this.confettiFrame);
+            this.confettiFrame = null;
+        }
+        this.elements.canvas.classList.add('hidden');
+    }
+};
@@ -0,0 +1,288 @@
+/**
+ * Study Calendar
+ * Per-day activity log built from study history, shown as a calendar heatmap
+ */
+
+const Activity = {
+    // DOM elements
+    elements: {
+        heatmap: null,
+        summary: null,
+        detail: null
+    },
+
+    // Activity score (minutes + QUESTION_MINUTES per question) needed for each shade
+    LEVELS: [1, 30, 60, 120],
+
+    // Rough minutes of study each answered question stands for in the score
+    QUESTION_MINUTES: 2,
+
+    // Per-day activity (date key: day entry)
+    log: {},
+
+    // Selected day in the heatmap
+    selectedDay: null,
+
+    /**
+     * Initialize the activity log and heatmap
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.heatmap = document.getElementById('activityHeatmap');
+        this.elements.summary = document.getElementById('activitySummary');
+        this.elements.detail = document.getElementById('activityDetail');
+
+        // Set up event listeners
+        document.addEventListener('sessionLogChanged', () => this.refresh());
+        document.addEventListener('questionAnswered', () => this.refresh());
+        window.addEventListener('storage', (e) => {
+            if (e.key === Storage.KEYS.SESSION_LOG ||
+                e.key === Storage.KEYS.ANSWERED_QUESTIONS ||
+                e.key === Storage.KEYS.SECTION_HISTORY) {
+                this.refresh();
+            }
+        });
+
+        this.refresh();
+    },
+
+    /**
+     * Rebuild the log from history, save it and re-render
+     */
+    refresh() {
+        this.log = this.buildLog();
+        Storage.setActivityLog(this.log);
+        this.render();
+    },
+
+    /**
+     * Create an empty day entry
+     * @returns {Object} Day entry
+     */
+    createDay() {
+        return {
+            minutes: 0,
+            sessions: 0,
+            labels: {},
+            questions: 0,
+            graded: 0,
+            correct: 0,
+            sections: 0
+        };
+    },
+
+    /**
+     * Build the per-day log from the session log, answered questions and section history,
+     * so days from before the log existed are filled in too
+     * @returns {Object} Day entries by date key
+     */
+    buildLog() {
+        const log = {};
+        const dayFor = (date) => {
+            const key = Storage.getDateKey(date);
+            if (!log[key]) log[key] = this.createDay();
+            return log[key];
+        };
+
+        Storage.getSessionLog().forEach(record => {
+            const day = dayFor(record.start);
+            const label = record.label || '';
+
+            day.minutes += record.durationMinutes;
+            day.labels[label] = (day.labels[label] || 0) + record.durationMinutes;
+            if (!record.partial) day.sessions++;
+        });
+
+        Object.entries(Storage.getAnsweredQuestions()).forEach(([questionId, record]) => {
+            const hidden = BlindReview.isPending(questionId); // Result still hidden
+
+            record.attempts.forEach(attempt => {
+                if (attempt.phase === 'blind') return; // Second look at an answer already counted
+
+                const day = dayFor(attempt.date);
+                day.questions++;
+                if (!hidden && attempt.correct !== null && attempt.correct !== undefined) {
+                    day.graded++;
+                    if (attempt.correct) day.correct++;
+                }
+            });
+        });
+
+        Storage.getSectionHistory().forEach(record => {
+            dayFor(record.startedAt).sections++;
+        });
+
+        return log;
+    },
+
+    /**
+     * Get the activity for a day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Object} Day entry (empty if nothing was done)
+     */
+    getDay(dateKey) {
+        return this.log[dateKey] || this.createDay();
+    },
+
+    /**
+     * Get how intense a day's activity was
+     * @param {Object} day - Day entry
+     * @returns {number} Level from 0 (nothing) to 4
+     */
+    getLevel(day) {
+        const score = day.minutes + day.questions * this.QUESTION_MINUTES;
+        return this.LEVELS.filter(threshold => score >= threshold).length;
+    },
+
+    /**
+     * Get the first and last days shown: the whole study period up to test day
+     * @returns {Object} Monday date keys for the first and last weeks (start, end)
+     */
+    getRange() {
+        const today = Storage.getDateKey();
+        const days = Object.keys(this.log).sort();
+        const studyStart = Storage.getDateKey(Countdown.startDate);
+        const first = [days[0], studyStart, today].filter(Boolean).sort()[0];
+
+        const testDate = Countdown.getTestDate();
+        const testDay = testDate ? Storage.getDateKey(testDate) : today;
+        const last = testDay > today ? testDay : today;
+
+        return {
+            start: Stats.getWeekKey(first),
+            end: Stats.getWeekKey(last)
+        };
+    },
+
+    /**
+     * Render the totals, heatmap and selected day
+     */
+    render() {
+        const days = Object.values(this.log);
+        const activeDays = days.filter(day => this.getLevel(day) > 0).length;
+        const minutes = days.reduce((sum, day) => sum + day.minutes, 0);
+        const questions = days.reduce((sum, day) => sum + day.questions, 0);
+
+        this.elements.summary.textContent = `${activeDays} active day${activeDays === 1 ? '' : 's'} • ` +
+            `${SessionLog.formatMinutes(minutes)} studied • ${questions} question${questions === 1 ? '' : 's'} answered`;
+
+        this.renderHeatmap();
+        this.renderDetail();
+    },
+
+    /**
+     * Render one column per week (Monday at the top) with a month label where a month starts
+     */
+    renderHeatmap() {
+        const { start, end } = this.getRange();
+        const today = Storage.getDateKey();
+        this.elements.heatmap.innerHTML = '';
+
+        for (let week = start; week <= end; week = Storage.addDaysToKey(week, 7)) {
+            const column = document.createElement('div');
+            column.className = 'heatmap-week';
+
+            const month = document.createElement('span');
+            month.className = 'heatmap-month';
+            const firstOfMonth = [...Array(7).keys()]
+                .map(offset => Storage.addDaysToKey(week, offset))
+                .find(key => key.endsWith('-01'));
+            if (firstOfMonth || week === start) {
+                month.textContent = StudyDay.parseKey(firstOfMonth || week).toLocaleDateString('en-US', { month: 'short' });
+            }
+            column.appendChild(month);
+
+            for (let offset = 0; offset < 7; offset++) {
+                column.appendChild(this.createCell(Storage.addDaysToKey(week, offset), today));
+            }
+
+            this.elements.heatmap.appendChild(column);
+        }
+
+        // Show the most recent weeks first on narrow screens
+        this.elements.heatmap.scrollLeft = this.elements.heatmap.scrollWidth;
+    },
+
+    /**
+     * Create a heatmap cell for a day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {string} today - Today's date key
+     * @returns {HTMLElement} Cell button
+     */
+    createCell(dateKey, today) {
+        const day = this.getDay(dateKey);
+        const cell = document.createElement('button');
+        cell.type = 'button';
+        cell.className = `heatmap-day level-${this.getLevel(day)}`;
+        cell.classList.toggle('future', dateKey > today);
+        cell.classList.toggle('today', dateKey === today);
+        cell.classList.toggle('selected', dateKey === this.selectedDay);
+        cell.title = `${this.formatDay(dateKey)}: ${SessionLog.formatMinutes(day.minutes)}, ` +
+            `${day.questions} question${day.questions === 1 ? '' : 's'}`;
+        cell.setAttribute('aria-label', cell.title);
+        cell.addEventListener('click', () => this.selectDay(dateKey));
+        return cell;
+    },
+
+    /**
+     * Show what was done on a day (clicking the selected day again hides it)
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     */
+    selectDay(dateKey) {
+        this.selectedDay = this.selectedDay === dateKey ? null : dateKey;
+        this.renderHeatmap();
+        this.renderDetail();
+    },
+
+    /**
+     * Render the details of the selected day
+     */
+    renderDetail() {
+        const el = this.elements.detail;
+        el.innerHTML = '';
+        el.classList.toggle('hidden', !this.selectedDay);
+        if (!this.selectedDay) return;
+
+        const day = this.getDay(this.selectedDay);
+        const title = document.createElement('h3');
+        title.className = 'activity-detail-title';
+        title.textContent = this.formatDay(this.selectedDay);
+        el.appendChild(title);
+
+        const lines = [];
+        if (day.minutes > 0) {
+            const labels = Object.entries(day.labels)
+                .sort((a, b) => b[1] - a[1])
+                .map(([label, minutes]) => `${label || 'Unlabelled'} ${SessionLog.formatMinutes(minutes)}`);
+            lines.push(`⏱️ ${SessionLog.formatMinutes(day.minutes)} studied in ${day.sessions} ` +
+                `session${day.sessions === 1 ? '' : 's'} (${labels.join(', ')})`);
+        }
+        if (day.questions > 0) {
+            lines.push(`🧩 ${day.questions} question${day.questions === 1 ? '' : 's'} answered` +
+                (day.graded > 0 ? `, ${day.correct}/${day.graded} correct` : ''));
+        }
+        if (day.sections > 0) {
+            lines.push(`📝 ${day.sections} practice section${day.sections === 1 ? '' : 's'} completed`);
+        }
+        if (lines.length === 0) {
+            lines.push(this.selectedDay > Storage.getDateKey() ? 'Still to come!' : 'No study logged');
+        }
+
+        lines.forEach(text => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            el.appendChild(line);
+        });
+    },
+
+    /**
+     * Format a date key for display
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {string} e.g. "Mon, Oct 13, 2026"
+     */
+    formatDay(dateKey) {
+        return StudyDay.parseKey(dateKey).toLocaleDateString('en-US', {
+            weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+        });
+    }
+};
@@ -0,0 +1,280 @@
+/**
+ * Ambient Focus Sounds
+ * Background noise, rain or a ticking clock during study sessions, generated with Web Audio
+ */
+
+const Ambient = {
+    // DOM elements
+    elements: {
+        soundSelect: null,
+        volumeInput: null
+    },
+
+    // Available sounds (key: label)
+    SOUNDS: {
+        off: '🔇 Off',
+        white: '〰️ White noise',
+        pink: '🌸 Pink noise',
+        brown: '🟤 Brown noise',
+        rain: '🌧️ Rain',
+        ticking: '🕰️ Ticking clock'
+    },
+
+    // Length of each generated loop (seconds)
+    LOOP_SECONDS: 6,
+
+    // Fade lengths (seconds)
+    FADE_IN_SECONDS: 1.5,
+    FADE_OUT_SECONDS: 3,
+
+    // How long a sound plays when picked outside a session (seconds)
+    PREVIEW_SECONDS: 4,
+
+    // Saved sound and volume
+    settings: null,
+
+    // Current playback
+    playing: null,
+    source: null,
+    gain: null,
+    previewTimeout: null,
+
+    // Generated loops (sound key: AudioBuffer)
+    buffers: {},
+
+    /**
+     * Initialize ambient sound controls
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.soundSelect = document.getElementById('ambientSound');
+        this.elements.volumeInput = document.getElementById('ambientVolume');
+
+        this.settings = Storage.getAmbientSettings();
+
+        Object.entries(this.SOUNDS).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            this.elements.soundSelect.appendChild(option);
+        });
+        this.elements.soundSelect.value = this.SOUNDS[this.settings.sound] ? this.settings.sound : 'off';
+        this.elements.volumeInput.value = Math.round(this.settings.volume * 100);
+
+        // Set up event listeners
+        this.elements.soundSelect.addEventListener('change', (e) => this.setSound(e.target.value));
+        this.elements.volumeInput.addEventListener('input', (e) => this.setVolume(e.target.value / 100));
+        document.addEventListener('timerStateChange', (e) => this.handleStateChange(e.detail));
+    },
+
+    /**
+     * Start or fade out the sound as the timer starts, pauses or changes mode
+     * @param {Object} detail - timerStateChange event detail
+     */
+    handleStateChange(detail) {
+        if (detail.isRunning && Timer.isStudyMode(detail.mode)) {
+            // Sessions started in another tab play there, not here
+            if (!detail.remote) this.play();
+        } else {
+            this.stop();
+        }
+    },
+
+    /**
+     * Check if a study session is running in this tab
+     * @returns {boolean} True if sound should be playing
+     */
+    isSessionRunning() {
+        return Timer.state.isRunning && Timer.isStudyMode(Timer.state.mode);
+    },
+
+    /**
+     * Pick a sound, switching straight to it during a session or previewing it otherwise
+     * @param {string} sound - Key of SOUNDS
+     */
+    setSound(sound) {
+        this.settings.sound = sound;
+        Storage.setAmbientSettings(this.settings);
+
+        this.stop(0.3);
+        if (sound === 'off') return;
+
+        this.play();
+        if (!this.isSessionRunning()) {
+            clearTimeout(this.previewTimeout);
+            this.previewTimeout = setTimeout(() => {
+                if (!this.isSessionRunning()) this.stop(1);
+            }, this.PREVIEW_SECONDS * 1000);
+        }
+    },
+
+    /**
+     * Change the volume, including for the sound already playing
+     * @param {number} volume - Volume from 0 to 1
+     */
+    setVolume(volume) {
+        this.settings.volume = volume;
+        Storage.setAmbientSettings(this.settings);
+
+        if (this.gain) {
+            this.gain.gain.setTargetAtTime(volume, Timer.getAudioContext().currentTime, 0.1);
+        }
+    },
+
+    /**
+     * Fade in the chosen sound
+     */
+    play() {
+        const sound = this.settings.sound;
+        if (sound === 'off' || !this.SOUNDS[sound]) return;
+        if (this.source && this.playing === sound) return;
+
+        this.stop(0.3);
+
+        try {
+            const audioContext = Timer.getAudioContext();
+            const now = audioContext.currentTime;
+
+            const source = audioContext.createBufferSource();
+            source.buffer = this.getBuffer(audioContext, sound);
+            source.loop = true;
+
+            const gain = audioContext.createGain();
+            gain.gain.setValueAtTime(0, now);
+            gain.gain.linearRampToValueAtTime(this.settings.volume, now + this.FADE_IN_SECONDS);
+
+            source.connect(gain);
+            gain.connect(audioContext.destination);
+            source.start(now);
+
+            this.source = source;
+            this.gain = gain;
+            this.playing = sound;
+        } catch (error) {
+            console.log('Ambient sound not available:', error);
+        }
+    },
+
+    /**
+     * Fade out and stop whatever is playing
+     * @param {number} seconds - Fade length
+     */
+    stop(seconds = this.FADE_OUT_SECONDS) {
+        if (!this.source) return;
+
+        const audioContext = Timer.getAudioContext();
+        const now = audioContext.currentTime;
+        const gain = this.gain.gain;
+
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
+        gain.linearRampToValueAtTime(0, now + seconds);
+        this.source.stop(now + seconds);
+
+        this.source = null;
+        this.gain = null;
+        this.playing = null;
+    },
+
+    /**
+     * Get the loop for a sound, generating it on first use
+     * @param {AudioContext} audioContext - Audio context
+     * @param {string} sound - Key of SOUNDS
+     * @returns {AudioBuffer} Looping buffer
+     */
+    getBuffer(audioContext, sound) {
+        if (!this.buffers[sound]) {
+            const seconds = sound === 'ticking' ? 2 : this.LOOP_SECONDS;
+            const buffer = audioContext.createBuffer(1, audioContext.sampleRate * seconds, audioContext.sampleRate);
+            const data = buffer.getChannelData(0);
+
+            if (sound === 'rain') {
+                this.fillRain(data, audioContext.sampleRate);
+            } else if (sound === 'ticking') {
+                this.fillTicking(data, audioContext.sampleRate);
+            } else {
+                this.fillNoise(data, sound);
+            }
+
+            this.buffers[sound] = buffer;
+        }
+
+        return this.buffers[sound];
+    },
+
+    /**
+     * Fill a buffer with white, pink or brown noise
+     * @param {Float32Array} data - Samples to fill
+     * @param {string} color - 'white', 'pink' or 'brown'
+     */
+    fillNoise(data, color) {
+        let b0 = 0;
+        let b1 = 0;
+        let b2 = 0;
+        let last = 0;
+
+        for (let i = 0; i < data.length; i++) {
+            const white = Math.random() * 2 - 1;
+
+            if (color === 'pink') {
+                // Paul Kellet's economy pink filter
+                b0 = 0.99765 * b0 + white * 0.0990460;
+                b1 = 0.96300 * b1 + white * 0.2965164;
+                b2 = 0.57000 * b2 + white * 1.0526913;
+                data[i] = (b0 + b1 + b2 + white * 0.1848) * 0.11;
+            } else if (color === 'brown') {
+                last = (last + 0.02 * white) / 1.02;
+                data[i] = last * 3.5;
+            } else {
+                data[i] = white * 0.5;
+            }
+        }
+
+        // Brown noise wanders, so tilt it to end where it starts and loop without a click
+        if (color === 'brown') {
+            const drift = data[data.length - 1] - data[0];
+            for (let i = 0; i < data.length; i++) {
+                data[i] -= drift * (i / data.length);
+            }
+        }
+    },
+
+    /**
+     * Fill a buffer with rain: a soft pink-noise bed with scattered droplets
+     * @param {Float32Array} data - Samples to fill
+     * @param {number} sampleRate - Samples per second
+     */
+    fillRain(data, sampleRate) {
+        this.fillNoise(data, 'pink');
+        for (let i = 0; i < data.length; i++) {
+            data[i] *= 0.6;
+        }
+
+        const drops = Math.round((data.length / sampleRate) * 40);
+        for (let d = 0; d < drops; d++) {
+            const start = Math.floor(Math.random() * data.length);
+            const length = Math.floor(sampleRate * (0.005 + Math.random() * 0.015));
+            const amplitude = 0.05 + Math.random() * 0.2;
+
+            for (let i = 0; i < length; i++) {
+                const index = (start + i) % data.length;
+                data[index] += (Math.random() * 2 - 1) * amplitude * Math.exp(-i / (length / 4));
+            }
+        }
+    },
+
+    /**
+     * Fill a two-second buffer with a tick and a slightly lower tock
+     * @param {Float32Array} data - Samples to fill
+     * @param {number} sampleRate - Samples per second
+     */
+    fillTicking(data, sampleRate) {
+        [[0, 3000], [sampleRate, 2400]].forEach(([start, frequency]) => {
+            const length = Math.floor(sampleRate * 0.03);
+            for (let i = 0; i < length && start + i < data.length; i++) {
+                const t = i / sampleRate;
+                data[start + i] = Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t / 0.004) * 0.6;
+            }
+        });
+    }
+};
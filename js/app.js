@@ -24,6 +24,9 @@ const App = {
             // Load configuration
             await this.loadConfig();
 
+            // Load question packs listed in config.json
+            await QuestionPacks.loadSitePacks(this.config.questionPacks);
+
             // Cache DOM elements
             this.cacheElements();
 
@@ -81,7 +84,15 @@ const App = {
                 "Your dedication today is building your future tomorrow."
             ],
             personalMessages: [],
-            dailyQuestions: []
+            dailyQuestions: [],
+            passages: [],
+            questionPacks: [],
+            sessionLabels: [],
+            studyGoals: {},
+            streak: {},
+            studyDay: {},
+            milestones: [],
+            studyPlan: {}
         };
     },
 
@@ -100,23 +111,64 @@ const App = {
      * Initialize all modules
      */
     initializeModules() {
-        // Initialize countdown with LSAT date
-        Countdown.init(this.config.lsatDate);
+        // Set when each study day starts before anything compares days
+        StudyDay.configure(this.config.studyDay);
 
-        // Initialize streak tracker
-        Streak.init();
+        // Initialize countdown with LSAT date
+        Countdown.init(this.config.lsatDate, this.config.milestones, (this.config.studyPlan || {}).startDate);
 
-        // Initialize timer with custom durations if provided
+        // Initialize timer with custom durations and cycle options if provided
         Timer.init();
-        if (this.config.timerDurations) {
-            Timer.setDurations(
-                this.config.timerDurations.workMinutes,
-                this.config.timerDurations.breakMinutes
-            );
-        }
+        Timer.configure(this.config.timerDurations);
+
+        // Initialize ambient focus sounds
+        Ambient.init();
+
+        // Initialize labelled session history
+        SessionLog.init(this.config.sessionLabels);
+
+        // Initialize study-time goals
+        Goals.init(this.config.studyGoals);
+
+        // Initialize streak tracker from logged activity
+        Streak.init(this.config.streak);
+
+        // Initialize the study calendar from all logged history
+        Activity.init();
+
+        // Add questions from enabled question packs
+        const questions = [...this.config.dailyQuestions, ...QuestionPacks.getActiveQuestions()];
+        const passages = [...(this.config.passages || []), ...QuestionPacks.getActivePassages()];
 
         // Initialize questions
-        Questions.init(this.config.dailyQuestions);
+        Questions.init(questions, passages);
+
+        // Initialize question bank browser
+        QuestionBank.init();
+
+        // Initialize timed practice sections
+        Section.init(questions);
+
+        // Initialize statistics
+        Stats.init();
+
+        // Initialize wrong-answer journal
+        Journal.init();
+
+        // Initialize blind review
+        BlindReview.init();
+
+        // Initialize question editor
+        Authoring.init(this.config.dailyQuestions);
+
+        // Initialize question pack manager
+        QuestionPacks.init();
+
+        // Initialize the study plan (fills the countdown's progress bar)
+        StudyPlan.init(this.config.studyPlan);
+
+        // Initialize achievements once every source of progress is loaded
+        Achievements.init();
 
         // Initialize score goal
         this.initializeScoreGoal();
@@ -132,9 +184,6 @@ const App = {
         // Personal message close button
         this.elements.closeMessageBtn.addEventListener('click', () => this.closePersonalMessage());
 
-        // Listen for streak milestones
-        document.addEventListener('streakMilestone', (e) => this.handleStreakMilestone(e.detail));
-
         // Listen for timer completion
         document.addEventListener('timerComplete', (e) => this.handleTimerComplete(e.detail));
     },
@@ -235,9 +284,11 @@ const App = {
                 return currentStreak === message.value;
 
             case 'date':
-                const today = new Date().toDateString();
-                const targetDate = new Date(message.value).toDateString();
-                return today === targetDate;
+                // A bare date (YYYY-MM-DD) names a study day; a full timestamp is mapped to one
+                const targetDate = /^\d{4}-\d{2}-\d{2}$/.test(message.value)
+                    ? message.value
+                    : StudyDay.getKey(message.value);
+                return StudyDay.today() === targetDate;
 
             default:
                 return false;
@@ -270,42 +321,22 @@ const App = {
         this.elements.personalMessage.classList.add('hidden');
     },
 
-    /**
-     * Handle streak milestone events
-     * @param {Object} detail - Event detail
-     */
-    handleStreakMilestone(detail) {
-        const messages = {
-            3: 'Amazing! You\'ve built a 3-day streak! 🎉',
-            7: 'Incredible! One week of consistent studying! 🔥',
-            14: 'Two weeks strong! Your dedication is inspiring! 💪',
-            30: 'WOW! 30 days! You\'re unstoppable! 🌟',
-            50: 'FIFTY DAYS! That\'s extraordinary commitment! 🏆',
-            100: 'ONE HUNDRED DAYS!!! You\'re a studying legend! 👑'
-        };
-
-        const message = messages[detail.streak];
-        if (message) {
-            // Could show a special celebration modal here
-            console.log('Milestone achieved:', message);
-        }
-    },
-
     /**
      * Handle timer completion events
      * @param {Object} detail - Event detail
      */
     handleTimerComplete(detail) {
         // Show celebration message for work sessions
-        if (detail.mode === 'work') {
-            this.showCelebration();
+        if (Timer.isStudyMode(detail.mode)) {
+            this.showCelebration(detail.duration);
         }
     },
 
     /**
      * Show celebration message after study session
+     * @param {number} duration - Seconds studied in the session
      */
-    showCelebration() {
+    showCelebration(duration) {
         const celebrationEl = document.getElementById('celebrationMessage');
         const celebrationTitle = document.getElementById('celebrationTitle');
         const celebrationText = document.getElementById('celebrationText');
@@ -314,7 +345,8 @@ const App = {
 
         // Set celebration message
         celebrationTitle.textContent = 'Great Job!';
-        celebrationText.textContent = '25 minutes closer to success!';
+        const minutes = Math.max(1, Math.round(duration / 60));
+        celebrationText.textContent = `${minutes} minute${minutes === 1 ? '' : 's'} closer to success!`;
 
         // Show celebration
         celebrationEl.classList.remove('hidden');
@@ -351,6 +383,7 @@ const App = {
      */
     async refreshConfig() {
         await this.loadConfig();
+        await QuestionPacks.loadSitePacks(this.config.questionPacks);
         this.initializeModules();
         this.checkPersonalMessages();
         this.displayRandomQuote();
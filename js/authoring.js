@@ -0,0 +1,701 @@
+/**
+ * Question Editor
+ * Create, edit, preview and delete questions, then export config.json or a question pack
+ */
+
+const Authoring = {
+    // DOM elements
+    elements: {
+        questionSelect: null,
+        newBtn: null,
+        form: null,
+        idInput: null,
+        typeSelect: null,
+        difficultySelect: null,
+        passageSelect: null,
+        tagsInput: null,
+        questionInput: null,
+        choicesBox: null,
+        choiceInputs: [],
+        answerField: null,
+        answerInput: null,
+        explanationInput: null,
+        errors: null,
+        previewBtn: null,
+        deleteBtn: null,
+        preview: null,
+        status: null,
+        issues: null,
+        packNameInput: null,
+        exportConfigBtn: null,
+        exportPackBtn: null,
+        discardBtn: null
+    },
+
+    // Questions as published in config.json
+    baseQuestions: [],
+
+    // ID of the question open in the form, or null for a new question
+    editingId: null,
+
+    /**
+     * Initialize question editor
+     * @param {Array} questions - Questions from config.json
+     */
+    init(questions) {
+        this.baseQuestions = questions || [];
+
+        // Cache DOM elements
+        this.elements.questionSelect = document.getElementById('editorQuestionSelect');
+        this.elements.newBtn = document.getElementById('editorNew');
+        this.elements.form = document.getElementById('editorForm');
+        this.elements.idInput = document.getElementById('editorId');
+        this.elements.typeSelect = document.getElementById('editorType');
+        this.elements.difficultySelect = document.getElementById('editorDifficulty');
+        this.elements.passageSelect = document.getElementById('editorPassage');
+        this.elements.tagsInput = document.getElementById('editorTags');
+        this.elements.questionInput = document.getElementById('editorQuestion');
+        this.elements.choicesBox = document.getElementById('editorChoices');
+        this.elements.answerField = document.getElementById('editorAnswerField');
+        this.elements.answerInput = document.getElementById('editorAnswer');
+        this.elements.explanationInput = document.getElementById('editorExplanation');
+        this.elements.errors = document.getElementById('editorErrors');
+        this.elements.previewBtn = document.getElementById('editorPreviewBtn');
+        this.elements.deleteBtn = document.getElementById('editorDelete');
+        this.elements.preview = document.getElementById('editorPreview');
+        this.elements.status = document.getElementById('editorStatus');
+        this.elements.issues = document.getElementById('editorIssues');
+        this.elements.packNameInput = document.getElementById('editorPackName');
+        this.elements.exportConfigBtn = document.getElementById('editorExportConfig');
+        this.elements.exportPackBtn = document.getElementById('editorExportPack');
+        this.elements.discardBtn = document.getElementById('editorDiscard');
+
+        // Build form controls
+        this.populateSelects();
+        this.renderChoiceInputs();
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        // Start with a blank question
+        this.newQuestion();
+        this.render();
+    },
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.questionSelect.addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.loadQuestion(e.target.value);
+            } else {
+                this.newQuestion();
+            }
+        });
+        this.elements.newBtn.addEventListener('click', () => this.newQuestion());
+        this.elements.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveQuestion();
+        });
+        this.elements.form.querySelectorAll('input[name="editorFormat"]').forEach(radio => {
+            radio.addEventListener('change', () => this.setFormat(this.getFormat()));
+        });
+        this.elements.previewBtn.addEventListener('click', () => this.renderPreview(this.readForm()));
+        this.elements.deleteBtn.addEventListener('click', () => this.deleteQuestion());
+        this.elements.exportConfigBtn.addEventListener('click', () => this.exportConfig());
+        this.elements.exportPackBtn.addEventListener('click', () => this.exportPack());
+        this.elements.discardBtn.addEventListener('click', () => this.discardChanges());
+    },
+
+    /**
+     * Fill the type and passage selects
+     */
+    populateSelects() {
+        this.elements.typeSelect.innerHTML = '';
+        Object.entries(Questions.TYPE_LABELS).forEach(([type, label]) => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = label;
+            this.elements.typeSelect.appendChild(option);
+        });
+
+        this.elements.passageSelect.innerHTML = '';
+        const noneOption = document.createElement('option');
+        noneOption.value = '';
+        noneOption.textContent = 'No passage';
+        this.elements.passageSelect.appendChild(noneOption);
+        Object.values(Questions.passages).forEach(passage => {
+            const option = document.createElement('option');
+            option.value = passage.id;
+            option.textContent = passage.title || passage.id;
+            this.elements.passageSelect.appendChild(option);
+        });
+    },
+
+    /**
+     * Build one text input and "correct" radio per answer choice
+     */
+    renderChoiceInputs() {
+        this.elements.choiceInputs = Questions.CHOICE_LETTERS.map(letter => {
+            const row = document.createElement('label');
+            row.className = 'editor-choice';
+
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'editorCorrect';
+            radio.value = letter;
+            radio.title = `(${letter}) is correct`;
+
+            const letterEl = document.createElement('span');
+            letterEl.className = 'choice-letter';
+            letterEl.textContent = letter;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = `Choice ${letter}`;
+
+            row.appendChild(radio);
+            row.appendChild(letterEl);
+            row.appendChild(input);
+            this.elements.choicesBox.appendChild(row);
+
+            return { letter, radio, input };
+        });
+    },
+
+    /**
+     * Get the questions as they will be published, with local edits applied
+     * @returns {Array} Question objects
+     */
+    getWorkingQuestions() {
+        const drafts = Storage.getQuestionDrafts();
+        const baseIds = this.baseQuestions.map(q => String(q.id));
+
+        const updated = this.baseQuestions
+            .filter(q => !drafts.deleted.includes(String(q.id)))
+            .map(q => drafts.edited[q.id] || q);
+        const added = Object.keys(drafts.edited)
+            .filter(id => !baseIds.includes(id))
+            .map(id => drafts.edited[id]);
+
+        return [...updated, ...added];
+    },
+
+    /**
+     * Find a question in the working set
+     * @param {number|string} questionId - Question ID
+     * @returns {Object|null} Question object
+     */
+    getWorkingQuestion(questionId) {
+        return this.getWorkingQuestions().find(q => String(q.id) === String(questionId)) || null;
+    },
+
+    /**
+     * Check if a question ID is in the published config.json
+     * @param {number|string} questionId - Question ID
+     * @returns {boolean} True if published
+     */
+    isPublished(questionId) {
+        return this.baseQuestions.some(q => String(q.id) === String(questionId));
+    },
+
+    /**
+     * Compare two questions field by field, ignoring key order
+     * @param {Object} a - Question object
+     * @param {Object} b - Question object
+     * @returns {boolean} True if identical
+     */
+    isSameQuestion(a, b) {
+        const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+        return JSON.stringify(a, fields) === JSON.stringify(b, fields);
+    },
+
+    /**
+     * Count local edits by kind
+     * @returns {Object} Counts of edited, added and deleted questions
+     */
+    getChangeCounts() {
+        const drafts = Storage.getQuestionDrafts();
+        const baseIds = this.baseQuestions.map(q => String(q.id));
+        const draftIds = Object.keys(drafts.edited);
+
+        return {
+            edited: draftIds.filter(id => baseIds.includes(id)).length,
+            added: draftIds.filter(id => !baseIds.includes(id)).length,
+            deleted: drafts.deleted.filter(id => baseIds.includes(id)).length
+        };
+    },
+
+    /**
+     * Convert an ID typed into the form, keeping numeric IDs as numbers
+     * @param {string} value - Raw input
+     * @returns {number|string} Question ID
+     */
+    parseId(value) {
+        const trimmed = value.trim();
+        return /^\d+$/.test(trimmed) ? Number(trimmed) : trimmed;
+    },
+
+    /**
+     * Suggest the next free numeric ID
+     * @returns {number} Next ID
+     */
+    getNextId() {
+        const numericIds = this.getWorkingQuestions()
+            .map(q => q.id)
+            .filter(id => typeof id === 'number');
+        return numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+    },
+
+    /**
+     * Get the selected answer format
+     * @returns {string} 'choices' or 'answer'
+     */
+    getFormat() {
+        const checked = this.elements.form.querySelector('input[name="editorFormat"]:checked');
+        return checked ? checked.value : 'choices';
+    },
+
+    /**
+     * Switch the form between multiple-choice and free-text answers
+     * @param {string} format - 'choices' or 'answer'
+     */
+    setFormat(format) {
+        this.elements.form.querySelectorAll('input[name="editorFormat"]').forEach(radio => {
+            radio.checked = radio.value === format;
+        });
+        this.elements.choicesBox.classList.toggle('hidden', format !== 'choices');
+        this.elements.answerField.classList.toggle('hidden', format !== 'answer');
+    },
+
+    /**
+     * Clear the form for a new question
+     */
+    newQuestion() {
+        this.editingId = null;
+        this.fillForm({ id: this.getNextId(), type: 'logical_reasoning', choices: [] });
+        this.elements.questionSelect.value = '';
+        this.elements.deleteBtn.classList.add('hidden');
+    },
+
+    /**
+     * Open a question in the form
+     * @param {number|string} questionId - Question ID
+     */
+    loadQuestion(questionId) {
+        const question = this.getWorkingQuestion(questionId);
+        if (!question) return;
+
+        this.editingId = question.id;
+        this.fillForm(question);
+        this.elements.questionSelect.value = String(question.id);
+        this.elements.deleteBtn.classList.remove('hidden');
+    },
+
+    /**
+     * Fill the form from a question
+     * @param {Object} question - Question object
+     */
+    fillForm(question) {
+        this.elements.idInput.value = question.id;
+        this.elements.typeSelect.value = question.type || '';
+        this.elements.difficultySelect.value = question.difficulty || '';
+        this.elements.passageSelect.value = question.passageId || '';
+        this.elements.tagsInput.value = (question.tags || []).join(', ');
+        this.elements.questionInput.value = question.question || '';
+        this.elements.answerInput.value = question.answer || '';
+        this.elements.explanationInput.value = question.explanation || '';
+
+        this.elements.choiceInputs.forEach(({ letter, radio, input }, index) => {
+            input.value = (question.choices || [])[index] || '';
+            radio.checked = letter === question.correctChoice;
+        });
+
+        this.setFormat(question.answer && !question.choices ? 'answer' : 'choices');
+        this.renderErrors([]);
+        this.elements.preview.classList.add('hidden');
+    },
+
+    /**
+     * Build a question object from the form
+     * @returns {Object} Question object
+     */
+    readForm() {
+        const question = {
+            id: this.parseId(this.elements.idInput.value),
+            type: this.elements.typeSelect.value
+        };
+
+        const difficulty = this.elements.difficultySelect.value;
+        const tags = this.elements.tagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
+        const passageId = this.elements.passageSelect.value;
+
+        if (difficulty) question.difficulty = difficulty;
+        if (tags.length > 0) question.tags = tags;
+        if (passageId) question.passageId = passageId;
+
+        question.question = this.elements.questionInput.value.trim();
+
+        if (this.getFormat() === 'choices') {
+            // Drop unused choices from the end
+            const choices = this.elements.choiceInputs.map(c => c.input.value.trim());
+            while (choices.length > 0 && !choices[choices.length - 1]) {
+                choices.pop();
+            }
+            const correct = this.elements.choiceInputs.find(c => c.radio.checked);
+
+            question.choices = choices;
+            question.correctChoice = correct ? correct.letter : '';
+        } else {
+            question.answer = this.elements.answerInput.value.trim();
+        }
+
+        question.explanation = this.elements.explanationInput.value.trim();
+
+        return question;
+    },
+
+    /**
+     * Check a question for missing or invalid fields
+     * @param {Object} question - Question object
+     * @param {Array} takenIds - IDs already used by other questions
+     * @param {Object} passages - Passages the question may refer to, keyed by ID
+     * @returns {Array} Error messages (empty if valid)
+     */
+    validateQuestion(question, takenIds = [], passages = Questions.passages) {
+        const errors = [];
+
+        if (question.id === undefined || question.id === null || question.id === '') {
+            errors.push('ID is required.');
+        } else if (takenIds.map(String).includes(String(question.id))) {
+            errors.push(`ID ${question.id} is already used by another question.`);
+        }
+
+        if (!question.type) {
+            errors.push('Type is required.');
+        } else if (typeof question.type !== 'string' || !Questions.TYPE_LABELS[question.type]) {
+            errors.push(`Unknown type "${question.type}".`);
+        }
+
+        if (!question.question) {
+            errors.push('Question text is required.');
+        } else if (typeof question.question !== 'string') {
+            errors.push('Question text must be text.');
+        }
+        if (!question.explanation) {
+            errors.push('Explanation is required.');
+        } else if (typeof question.explanation !== 'string') {
+            errors.push('Explanation must be text.');
+        }
+
+        if (Array.isArray(question.choices)) {
+            const letters = Questions.CHOICE_LETTERS.slice(0, question.choices.length);
+
+            if (question.choices.length < 2) {
+                errors.push('Add at least two answer choices.');
+            } else if (question.choices.length > Questions.CHOICE_LETTERS.length) {
+                errors.push(`Use at most ${Questions.CHOICE_LETTERS.length} answer choices.`);
+            }
+            question.choices.forEach((choice, index) => {
+                if (!choice) {
+                    errors.push(`Answer choice (${Questions.CHOICE_LETTERS[index]}) is empty.`);
+                } else if (typeof choice !== 'string') {
+                    errors.push(`Answer choice (${Questions.CHOICE_LETTERS[index]}) must be text.`);
+                }
+            });
+            if (!letters.includes(question.correctChoice)) {
+                errors.push('Mark which answer choice is correct.');
+            }
+        } else if (question.choices !== undefined && question.choices !== null) {
+            errors.push('Answer choices must be a list.');
+        } else if (!question.answer) {
+            errors.push('Answer is required for free-text questions.');
+        }
+
+        // Multiple-choice questions may also carry a written answer
+        if (question.answer && typeof question.answer !== 'string') {
+            errors.push('Answer must be text.');
+        }
+
+        if (question.passageId && !passages[question.passageId]) {
+            errors.push(`Unknown passage "${question.passageId}".`);
+        }
+
+        return errors;
+    },
+
+    /**
+     * Check every working question, including duplicate IDs
+     * @returns {Array} Problems as "#id: message" strings
+     */
+    findIssues() {
+        const questions = this.getWorkingQuestions();
+        const issues = [];
+
+        questions.forEach((question, index) => {
+            const otherIds = questions.filter((_, i) => i !== index).map(q => q.id);
+            this.validateQuestion(question, otherIds).forEach(error => {
+                issues.push(`#${question.id}: ${error}`);
+            });
+        });
+
+        return issues;
+    },
+
+    /**
+     * Save the form to the local drafts
+     */
+    saveQuestion() {
+        const question = this.readForm();
+        const otherIds = this.getWorkingQuestions()
+            .filter(q => this.editingId === null || String(q.id) !== String(this.editingId))
+            .map(q => q.id);
+        const errors = this.validateQuestion(question, otherIds);
+
+        this.renderErrors(errors);
+        if (errors.length > 0) return;
+
+        const drafts = Storage.getQuestionDrafts();
+        const id = String(question.id);
+
+        // A changed ID replaces the old question
+        if (this.editingId !== null && String(this.editingId) !== id) {
+            delete drafts.edited[this.editingId];
+            if (this.isPublished(this.editingId)) {
+                drafts.deleted.push(String(this.editingId));
+            }
+        }
+
+        // Edits that match config.json again are no longer changes
+        const base = this.baseQuestions.find(q => String(q.id) === id);
+        if (base && this.isSameQuestion(base, question)) {
+            delete drafts.edited[id];
+        } else {
+            drafts.edited[id] = question;
+        }
+        drafts.deleted = drafts.deleted.filter(deletedId => deletedId !== id);
+
+        Storage.setQuestionDrafts(drafts);
+
+        this.render();
+        this.loadQuestion(question.id);
+        this.renderPreview(question);
+        this.flashButton(document.getElementById('editorSave'), '✓ Saved!', 'Save Question');
+    },
+
+    /**
+     * Delete the open question from the local drafts
+     */
+    deleteQuestion() {
+        if (this.editingId === null) return;
+        if (!confirm(`Delete question #${this.editingId}?`)) return;
+
+        const drafts = Storage.getQuestionDrafts();
+        const id = String(this.editingId);
+
+        delete drafts.edited[id];
+        if (this.isPublished(id) && !drafts.deleted.includes(id)) {
+            drafts.deleted.push(id);
+        }
+        Storage.setQuestionDrafts(drafts);
+
+        this.newQuestion();
+        this.render();
+    },
+
+    /**
+     * Render the question list, change summary and problems
+     */
+    render() {
+        const drafts = Storage.getQuestionDrafts();
+        const select = this.elements.questionSelect;
+        const selected = select.value;
+
+        select.innerHTML = '';
+        const newOption = document.createElement('option');
+        newOption.value = '';
+        newOption.textContent = '➕ New question';
+        select.appendChild(newOption);
+
+        this.getWorkingQuestions().forEach(question => {
+            const option = document.createElement('option');
+            const text = question.question || '';
+            option.value = String(question.id);
+            option.textContent = [
+                `${drafts.edited[question.id] ? '✎ ' : ''}#${question.id}`,
+                Questions.formatQuestionType(question.type),
+                text.length > 50 ? `${text.slice(0, 50)}…` : text
+            ].join(' · ');
+            select.appendChild(option);
+        });
+        select.value = selected;
+
+        this.renderStatus();
+    },
+
+    /**
+     * Render the unpublished change summary and whole-bank problems
+     */
+    renderStatus() {
+        const counts = this.getChangeCounts();
+        const total = counts.edited + counts.added + counts.deleted;
+        const issues = this.findIssues();
+
+        this.elements.status.textContent = total > 0
+            ? `${total} unpublished change${total === 1 ? '' : 's'} ` +
+              `(${counts.added} new, ${counts.edited} edited, ${counts.deleted} deleted). ` +
+              'Download config.json and replace the one on the site to publish them.'
+            : 'No changes from the published config.json.';
+
+        this.elements.issues.innerHTML = '';
+        issues.forEach(issue => {
+            const li = document.createElement('li');
+            li.textContent = issue;
+            this.elements.issues.appendChild(li);
+        });
+        this.elements.issues.classList.toggle('hidden', issues.length === 0);
+
+        this.elements.exportConfigBtn.disabled = issues.length > 0;
+        this.elements.exportPackBtn.disabled = issues.length > 0 || counts.edited + counts.added === 0;
+        this.elements.discardBtn.disabled = total === 0;
+    },
+
+    /**
+     * Show validation errors under the form
+     * @param {Array} errors - Error messages
+     */
+    renderErrors(errors) {
+        this.elements.errors.innerHTML = '';
+        errors.forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = error;
+            this.elements.errors.appendChild(li);
+        });
+        this.elements.errors.classList.toggle('hidden', errors.length === 0);
+    },
+
+    /**
+     * Show how a question will look in the Daily Challenge card
+     * @param {Object} question - Question object
+     */
+    renderPreview(question) {
+        const preview = this.elements.preview;
+        preview.innerHTML = '';
+
+        const passage = Questions.getPassage(question);
+        if (passage) {
+            const passageTitle = document.createElement('h3');
+            passageTitle.className = 'passage-title';
+            passageTitle.textContent = passage.title;
+            preview.appendChild(passageTitle);
+        }
+
+        const type = document.createElement('p');
+        type.className = 'question-type';
+        type.textContent = Questions.formatQuestionType(question.type);
+        preview.appendChild(type);
+
+        const text = document.createElement('p');
+        text.className = 'question-text';
+        text.textContent = question.question;
+        preview.appendChild(text);
+
+        if (Array.isArray(question.choices)) {
+            const choices = document.createElement('div');
+            choices.className = 'question-choices';
+            question.choices.forEach((choice, index) => {
+                const letter = Questions.CHOICE_LETTERS[index];
+                const button = Questions.createChoiceButton(letter, choice);
+                button.disabled = true;
+                button.classList.toggle('correct', letter === question.correctChoice);
+                choices.appendChild(button);
+            });
+            preview.appendChild(choices);
+        }
+
+        const answer = document.createElement('div');
+        answer.className = 'answer-section';
+        [
+            ['Answer:', Questions.getAnswerText(question)],
+            ['Explanation:', question.explanation]
+        ].forEach(([heading, body]) => {
+            const h3 = document.createElement('h3');
+            h3.textContent = heading;
+            const p = document.createElement('p');
+            p.textContent = body;
+            answer.appendChild(h3);
+            answer.appendChild(p);
+        });
+        preview.appendChild(answer);
+
+        preview.classList.remove('hidden');
+    },
+
+    /**
+     * Download config.json with the local edits merged in
+     */
+    exportConfig() {
+        const config = { ...App.config, dailyQuestions: this.getWorkingQuestions() };
+        this.download('config.json', config);
+    },
+
+    /**
+     * Download the new and edited questions as a standalone question pack
+     */
+    exportPack() {
+        const drafts = Storage.getQuestionDrafts();
+        const questions = this.getWorkingQuestions().filter(q => drafts.edited[q.id]);
+        const passageIds = [...new Set(questions.map(q => q.passageId).filter(Boolean))];
+        const name = this.elements.packNameInput.value.trim() || 'My Questions';
+
+        const pack = {
+            name,
+            questions,
+            passages: passageIds.map(id => Questions.passages[id])
+        };
+
+        this.download(`${QuestionPacks.slugify(name) || 'question-pack'}.json`, pack);
+    },
+
+    /**
+     * Throw away every unpublished edit
+     */
+    discardChanges() {
+        if (!confirm('Discard all unpublished question changes?')) return;
+
+        Storage.setQuestionDrafts({ edited: {}, deleted: [] });
+        this.newQuestion();
+        this.render();
+    },
+
+    /**
+     * Save data as a JSON file download
+     * @param {string} filename - File name
+     * @param {Object} data - Data to save
+     */
+    download(filename, data) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Briefly change a button's label
+     * @param {HTMLButtonElement} button - Button
+     * @param {string} text - Temporary label
+     * @param {string} original - Label to restore
+     */
+    flashButton(button, text, original) {
+        button.textContent = text;
+        setTimeout(() => {
+            button.textContent = original;
+        }, 2000);
+    }
+};
@@ -0,0 +1,286 @@
+/**
+ * Question Bank Browser
+ * Searchable, filterable list of every question with bookmarks and review flags
+ */
+
+const QuestionBank = {
+    // DOM elements
+    elements: {
+        searchInput: null,
+        typeFilter: null,
+        difficultyFilter: null,
+        tagFilter: null,
+        statusFilter: null,
+        resultCount: null,
+        list: null,
+        showMoreBtn: null
+    },
+
+    // How many results to render at a time
+    PAGE_SIZE: 25,
+
+    // Current filters
+    filters: {
+        search: '',
+        type: 'all',
+        difficulty: 'all',
+        tag: 'all',
+        status: 'all'
+    },
+
+    visibleCount: 25,
+
+    /**
+     * Initialize question bank browser
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.searchInput = document.getElementById('bankSearch');
+        this.elements.typeFilter = document.getElementById('bankType');
+        this.elements.difficultyFilter = document.getElementById('bankDifficulty');
+        this.elements.tagFilter = document.getElementById('bankTag');
+        this.elements.statusFilter = document.getElementById('bankStatus');
+        this.elements.resultCount = document.getElementById('bankResultCount');
+        this.elements.list = document.getElementById('bankList');
+        this.elements.showMoreBtn = document.getElementById('bankShowMore');
+
+        // Populate filter options from the bank
+        this.populateFilters();
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        // Initial render
+        this.render();
+    },
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.searchInput.addEventListener('input', (e) => this.setFilter('search', e.target.value));
+        this.elements.typeFilter.addEventListener('change', (e) => this.setFilter('type', e.target.value));
+        this.elements.difficultyFilter.addEventListener('change', (e) => this.setFilter('difficulty', e.target.value));
+        this.elements.tagFilter.addEventListener('change', (e) => this.setFilter('tag', e.target.value));
+        this.elements.statusFilter.addEventListener('change', (e) => this.setFilter('status', e.target.value));
+        this.elements.showMoreBtn.addEventListener('click', () => {
+            this.visibleCount += this.PAGE_SIZE;
+            this.render();
+        });
+
+        // Keep statuses and marks current
+        document.addEventListener('questionAnswered', () => this.render());
+        document.addEventListener('bookmarksChanged', () => this.render());
+    },
+
+    /**
+     * Fill the type and tag filters with values used in the bank
+     */
+    populateFilters() {
+        const questions = Questions.allQuestions;
+        const types = [...new Set(questions.map(q => q.type))];
+        const tags = [...new Set(questions.flatMap(q => q.tags || []))].sort();
+
+        this.fillSelect(this.elements.typeFilter, 'All types',
+            types.map(type => ({ value: type, label: Questions.formatQuestionType(type) })));
+        this.fillSelect(this.elements.tagFilter, 'All tags',
+            tags.map(tag => ({ value: tag, label: tag })));
+    },
+
+    /**
+     * Replace a select's options
+     * @param {HTMLSelectElement} select - Select element
+     * @param {string} allLabel - Label for the "all" option
+     * @param {Array} options - Options as { value, label } objects
+     */
+    fillSelect(select, allLabel, options) {
+        select.innerHTML = '';
+
+        const allOption = document.createElement('option');
+        allOption.value = 'all';
+        allOption.textContent = allLabel;
+        select.appendChild(allOption);
+
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Update a filter and re-render from the first page
+     * @param {string} name - Filter name
+     * @param {string} value - Filter value
+     */
+    setFilter(name, value) {
+        this.filters[name] = value;
+        this.visibleCount = this.PAGE_SIZE;
+        this.render();
+    },
+
+    /**
+     * Get the searchable text for a question
+     * @param {Object} question - Question object
+     * @returns {string} Lower-cased text
+     */
+    getSearchText(question) {
+        const passage = Questions.getPassage(question);
+
+        return [
+            question.id,
+            question.question,
+            question.answer,
+            question.explanation,
+            ...(question.choices || []),
+            ...(question.tags || []),
+            passage ? passage.title : ''
+        ].join(' ').toLowerCase();
+    },
+
+    /**
+     * Check if a question passes the current filters
+     * @param {Object} question - Question object
+     * @param {Object} bookmarks - Stored bookmarks
+     * @returns {boolean} True if it should be listed
+     */
+    matches(question, bookmarks) {
+        const { search, type, difficulty, tag, status } = this.filters;
+
+        if (type !== 'all' && question.type !== type) return false;
+        if (difficulty !== 'all' && question.difficulty !== difficulty) return false;
+        if (tag !== 'all' && !(question.tags || []).includes(tag)) return false;
+
+        if (status !== 'all') {
+            const marks = bookmarks[question.id] || {};
+            if (status === 'bookmarked' || status === 'flagged') {
+                if (!marks[status]) return false;
+            } else if (Questions.getQuestionStatus(question.id) !== status) {
+                return false;
+            }
+        }
+
+        // Every search word must appear somewhere in the question
+        const words = search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (words.length > 0) {
+            const text = this.getSearchText(question);
+            return words.every(word => text.includes(word));
+        }
+
+        return true;
+    },
+
+    /**
+     * Render the filtered question list
+     */
+    render() {
+        const bookmarks = Storage.getBookmarks();
+        const results = Questions.allQuestions.filter(q => this.matches(q, bookmarks));
+
+        this.elements.resultCount.textContent =
+            `${results.length} of ${Questions.allQuestions.length} questions`;
+
+        this.elements.list.innerHTML = '';
+        results.slice(0, this.visibleCount).forEach(question => {
+            this.elements.list.appendChild(this.createItem(question, bookmarks[question.id] || {}));
+        });
+
+        this.elements.showMoreBtn.classList.toggle('hidden', results.length <= this.visibleCount);
+    },
+
+    /**
+     * Create a list item for a question
+     * @param {Object} question - Question object
+     * @param {Object} marks - Bookmark/flag entry for the question
+     * @returns {HTMLLIElement} List item
+     */
+    createItem(question, marks) {
+        const status = Questions.getQuestionStatus(question.id);
+        const statusLabels = {
+            unanswered: '○ Unanswered',
+            answered: '✓ Answered',
+            missed: '✗ Missed'
+        };
+
+        const item = document.createElement('li');
+        item.className = `bank-item ${status}`;
+
+        const meta = document.createElement('div');
+        meta.className = 'bank-item-meta';
+        meta.textContent = [
+            `#${question.id}`,
+            Questions.formatQuestionType(question.type),
+            question.difficulty,
+            statusLabels[status]
+        ].filter(Boolean).join(' • ');
+
+        const text = document.createElement('p');
+        text.className = 'bank-item-text';
+        text.textContent = question.question;
+
+        const tags = document.createElement('div');
+        tags.className = 'bank-item-tags';
+        (question.tags || []).forEach(tag => {
+            const tagEl = document.createElement('span');
+            tagEl.className = 'bank-tag';
+            tagEl.textContent = tag;
+            tags.appendChild(tagEl);
+        });
+
+        const actions = document.createElement('div');
+        actions.className = 'bank-item-actions';
+        actions.appendChild(this.createMarkButton(question.id, 'bookmarked', marks.bookmarked, '★', '☆'));
+        actions.appendChild(this.createMarkButton(question.id, 'flagged', marks.flagged, '⚑', '⚐'));
+
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'btn-nav';
+        openBtn.textContent = 'Open';
+        openBtn.addEventListener('click', () => this.openQuestion(question.id));
+        actions.appendChild(openBtn);
+
+        item.appendChild(meta);
+        item.appendChild(text);
+        item.appendChild(tags);
+        item.appendChild(actions);
+
+        return item;
+    },
+
+    /**
+     * Create a bookmark or flag toggle button
+     * @param {number|string} questionId - Question ID
+     * @param {string} kind - 'bookmarked' or 'flagged'
+     * @param {string|null} isSet - Date the mark was set, or null
+     * @param {string} onIcon - Icon when set
+     * @param {string} offIcon - Icon when not set
+     * @returns {HTMLButtonElement} Toggle button
+     */
+    createMarkButton(questionId, kind, isSet, onIcon, offIcon) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn-nav';
+        button.classList.toggle('active', !!isSet);
+        button.textContent = isSet ? onIcon : offIcon;
+        button.title = kind === 'bookmarked' ? 'Bookmark' : 'Flag for review';
+        button.addEventListener('click', () => {
+            Storage.toggleBookmark(questionId, kind);
+            document.dispatchEvent(new CustomEvent('bookmarksChanged', { detail: { questionId } }));
+        });
+        return button;
+    },
+
+    /**
+     * Open a question in the Daily Challenge card
+     * @param {number|string} questionId - Question ID
+     */
+    openQuestion(questionId) {
+        Questions.goToQuestion(questionId);
+
+        const card = document.querySelector('.daily-challenge-section');
+        if (card) {
+            card.scrollIntoView({ behavior: 'smooth' });
+        }
+    }
+};
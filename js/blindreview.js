@@ -0,0 +1,218 @@
+/**
+ * Blind Review
+ * Holds back the answer key for low-confidence or flagged picks until a second, blind pass
+ */
+
+const BlindReview = {
+    // DOM elements
+    elements: {
+        toggle: null,
+        startBtn: null,
+        summary: null
+    },
+
+    // Confidence levels (key: label)
+    CONFIDENCE_LEVELS: {
+        sure: '😎 Sure',
+        unsure: '🤔 Unsure',
+        guess: '🎲 Guess'
+    },
+
+    /**
+     * Initialize blind review
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.toggle = document.getElementById('blindReviewToggle');
+        this.elements.startBtn = document.getElementById('startBlindReview');
+        this.elements.summary = document.getElementById('blindReviewSummary');
+
+        this.elements.toggle.checked = this.isEnabled();
+
+        // Set up event listeners
+        this.elements.toggle.addEventListener('change', (e) => {
+            this.setEnabled(e.target.checked);
+            Questions.updateControls();
+        });
+        this.elements.startBtn.addEventListener('click', () => Questions.startBlindReview());
+        document.addEventListener('questionAnswered', () => this.render());
+
+        this.render();
+    },
+
+    /**
+     * Check if blind review mode is on
+     * @returns {boolean} True if enabled
+     */
+    isEnabled() {
+        return Storage.getBlindReview().enabled;
+    },
+
+    /**
+     * Turn blind review mode on or off
+     * @param {boolean} enabled - New state
+     */
+    setEnabled(enabled) {
+        const data = Storage.getBlindReview();
+        data.enabled = enabled;
+        Storage.setBlindReview(data);
+    },
+
+    /**
+     * Check if a first-pass answer should be held for blind review
+     * @param {number|string} questionId - Question ID
+     * @param {string|null} confidence - Confidence level key
+     * @returns {boolean} True if the answer key should stay hidden
+     */
+    shouldHold(questionId, confidence) {
+        return confidence !== 'sure' || Storage.isBookmarked(questionId, 'flagged');
+    },
+
+    /**
+     * Hold a first-pass answer until the blind pass
+     * @param {number|string} questionId - Question ID
+     * @param {string} choice - Picked choice letter
+     * @param {boolean} correct - Whether the pick was right
+     * @param {string|null} confidence - Confidence level key
+     */
+    hold(questionId, choice, correct, confidence) {
+        const data = Storage.getBlindReview();
+        data.pending[questionId] = {
+            choice,
+            correct,
+            confidence,
+            date: new Date().toISOString()
+        };
+        Storage.setBlindReview(data);
+    },
+
+    /**
+     * Get the held first-pass answer for a question
+     * @param {number|string} questionId - Question ID
+     * @returns {Object|null} Held answer, or null if not pending
+     */
+    getPending(questionId) {
+        return Storage.getBlindReview().pending[questionId] || null;
+    },
+
+    /**
+     * Check if a question is waiting for its blind pass
+     * @param {number|string} questionId - Question ID
+     * @returns {boolean} True if pending
+     */
+    isPending(questionId) {
+        return !!this.getPending(questionId);
+    },
+
+    /**
+     * Get every question waiting for its blind pass, oldest first
+     * @returns {Array} Question IDs
+     */
+    getPendingIds() {
+        const pending = Storage.getBlindReview().pending;
+        return Object.keys(pending)
+            .sort((a, b) => pending[a].date.localeCompare(pending[b].date));
+    },
+
+    /**
+     * Finish the blind pass for a question, keeping both attempts
+     * @param {number|string} questionId - Question ID
+     * @param {string} choice - Blind-pass choice letter
+     * @param {boolean} correct - Whether the blind pick was right
+     * @returns {Object|null} Completed record, or null if nothing was pending
+     */
+    complete(questionId, choice, correct) {
+        const data = Storage.getBlindReview();
+        const first = data.pending[questionId];
+        if (!first) return null;
+
+        const record = {
+            questionId,
+            date: new Date().toISOString(),
+            first,
+            blind: { choice, correct }
+        };
+
+        delete data.pending[questionId];
+        data.completed.push(record);
+        Storage.setBlindReview(data);
+
+        return record;
+    },
+
+    /**
+     * Compare first-pass and blind-pass results, and accuracy by confidence
+     * @returns {Object} Summary counts and percentages
+     */
+    getSummary() {
+        const data = Storage.getBlindReview();
+        const completed = data.completed;
+        const percent = (count, total) => total > 0 ? Math.round((count / total) * 100) : null;
+
+        const firstCorrect = completed.filter(r => r.first.correct).length;
+        const blindCorrect = completed.filter(r => r.blind.correct).length;
+
+        // Accuracy by confidence across every tagged first-pass attempt
+        const byConfidence = {};
+        Object.keys(this.CONFIDENCE_LEVELS).forEach(key => {
+            byConfidence[key] = { total: 0, correct: 0 };
+        });
+        Object.values(Storage.getAnsweredQuestions()).forEach(record => {
+            record.attempts.forEach(attempt => {
+                const bucket = byConfidence[attempt.confidence];
+                if (!bucket || attempt.correct === null) return;
+                bucket.total++;
+                if (attempt.correct) bucket.correct++;
+            });
+        });
+
+        return {
+            pending: Object.keys(data.pending).length,
+            reviewed: completed.length,
+            firstAccuracy: percent(firstCorrect, completed.length),
+            blindAccuracy: percent(blindCorrect, completed.length),
+            fixed: completed.filter(r => !r.first.correct && r.blind.correct).length,
+            broken: completed.filter(r => r.first.correct && !r.blind.correct).length,
+            byConfidence: Object.entries(byConfidence).map(([key, bucket]) => ({
+                label: this.CONFIDENCE_LEVELS[key],
+                total: bucket.total,
+                accuracy: percent(bucket.correct, bucket.total)
+            }))
+        };
+    },
+
+    /**
+     * Render the blind review summary
+     */
+    render() {
+        const summary = this.getSummary();
+        const el = this.elements.summary;
+        el.innerHTML = '';
+
+        const comparison = document.createElement('p');
+        comparison.className = 'blind-summary-line';
+        comparison.textContent = summary.reviewed > 0
+            ? `🙈 Blind review: ${summary.reviewed} question${summary.reviewed === 1 ? '' : 's'} • ` +
+              `First pass ${summary.firstAccuracy}% → Blind ${summary.blindAccuracy}% • ` +
+              `Fixed ${summary.fixed} • Talked out of ${summary.broken}`
+            : '🙈 Turn on blind review mode to re-answer unsure or flagged picks before seeing the key.';
+        el.appendChild(comparison);
+
+        if (summary.pending > 0) {
+            const pending = document.createElement('p');
+            pending.className = 'blind-summary-line';
+            pending.textContent = `${summary.pending} question${summary.pending === 1 ? '' : 's'} waiting for a blind pass`;
+            el.appendChild(pending);
+        }
+
+        const tagged = summary.byConfidence.filter(c => c.total > 0);
+        if (tagged.length > 0) {
+            const confidence = document.createElement('p');
+            confidence.className = 'blind-summary-line';
+            confidence.textContent = 'Accuracy by confidence: ' + tagged
+                .map(c => `${c.label} ${c.accuracy}% (${c.total})`)
+                .join(' • ');
+            el.appendChild(confidence);
+        }
+    }
+};
@@ -1,6 +1,6 @@
 /**
  * LSAT Countdown Timer
- * Displays and updates countdown to the LSAT test date
+ * Counts down to the next key date (or a pinned one) and shows every milestone on a timeline
  */
 
 const Countdown = {
@@ -11,19 +11,38 @@ const Countdown = {
         minutes: null,
         seconds: null,
         progressBar: null,
-        progressText: null
+        progressText: null,
+        progressMarker: null,
+        targetLabel: null,
+        targetSelect: null,
+        timeline: null
+    },
+
+    // Milestone types (type: icon)
+    TYPE_ICONS: {
+        test: '📝',
+        deadline: '⏰',
+        writing: '✍️',
+        score: '📬',
+        other: '📌'
     },
 
     // Countdown data
+    milestones: [],
+    pinnedId: null,
+    target: null,
     targetDate: null,
+    renderedDay: null,
     startDate: null,
     interval: null,
 
     /**
      * Initialize countdown
      * @param {string} lsatDate - ISO date string for LSAT test
+     * @param {Array} milestones - config.json milestones (name, date and optional type)
+     * @param {string} startDate - Study start date (YYYY-MM-DD or ISO), defaults to the first visit
      */
-    init(lsatDate) {
+    init(lsatDate, milestones = [], startDate = null) {
         // Cache DOM elements
         this.elements.days = document.getElementById('days');
         this.elements.hours = document.getElementById('hours');
@@ -31,12 +50,22 @@ const Countdown = {
         this.elements.seconds = document.getElementById('seconds');
         this.elements.progressBar = document.getElementById('progressBar');
         this.elements.progressText = document.getElementById('progressText');
+        this.elements.progressMarker = document.getElementById('progressMarker');
+        this.elements.targetLabel = document.getElementById('countdownTarget');
+        this.elements.targetSelect = document.getElementById('countdownPin');
+        this.elements.timeline = document.getElementById('milestoneTimeline');
 
         // Set dates
-        this.targetDate = new Date(lsatDate);
-        this.startDate = new Date(); // You can customize this to track from a specific start date
+        this.milestones = this.buildMilestones(lsatDate, milestones);
+        this.pinnedId = Storage.getCountdownSettings().pinned || null;
+        this.renderedDay = null;
+        this.startDate = this.parseStartDate(startDate);
+
+        this.renderPinOptions();
+        this.elements.targetSelect.onchange = (e) => this.pin(e.target.value || null);
 
         // Start countdown
+        this.stop();
         this.update();
         this.interval = setInterval(() => this.update(), 1000);
 
@@ -48,20 +77,100 @@ const Countdown = {
         });
     },
 
+    /**
+     * Work out when studying started
+     * @param {string|null} startDate - Configured start date (YYYY-MM-DD or ISO)
+     * @returns {Date} Start of the study period
+     */
+    parseStartDate(startDate) {
+        // A bare date is a study day, not UTC midnight
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(startDate)
+            ? StudyDay.startOf(startDate)
+            : new Date(startDate);
+        return startDate && !isNaN(date) ? date : new Date(Storage.getStreakData().startDate);
+    },
+
+    /**
+     * Combine the LSAT date and config milestones into one list, earliest first
+     * @param {string} lsatDate - ISO date string for LSAT test
+     * @param {Array} milestones - config.json milestones
+     * @returns {Array} Milestones with id, name, date (Date) and type
+     */
+    buildMilestones(lsatDate, milestones) {
+        const all = [
+            { name: 'LSAT Test Day', date: lsatDate, type: 'test' },
+            ...milestones
+        ];
+
+        return all
+            .map(milestone => ({
+                id: `${milestone.name}@${milestone.date}`,
+                name: milestone.name,
+                date: new Date(milestone.date),
+                type: this.TYPE_ICONS[milestone.type] ? milestone.type : 'other'
+            }))
+            .filter(milestone => milestone.name && !isNaN(milestone.date))
+            .sort((a, b) => a.date - b.date);
+    },
+
+    /**
+     * Pin a milestone as the countdown target
+     * @param {string|null} id - Milestone ID, or null to follow the next upcoming one
+     */
+    pin(id) {
+        this.pinnedId = id;
+        Storage.setCountdownSettings({ pinned: id });
+        this.renderedDay = null;
+        this.update();
+    },
+
+    /**
+     * Get the milestone to count down to: the pinned one until it passes, otherwise the next upcoming
+     * @param {Date} now - Current date
+     * @returns {Object|null} Milestone, or null once every date has passed
+     */
+    getTarget(now = new Date()) {
+        const pinned = this.milestones.find(milestone => milestone.id === this.pinnedId);
+        if (pinned && pinned.date > now) return pinned;
+
+        return this.milestones.find(milestone => milestone.date > now) || null;
+    },
+
+    /**
+     * Get the test date that personal messages and the study period count toward
+     * @param {Date} now - Current date
+     * @returns {Date|null} Next test day, or the last one if all have passed
+     */
+    getTestDate(now = new Date()) {
+        const tests = this.milestones.filter(milestone => milestone.type === 'test');
+        const next = tests.find(milestone => milestone.date > now) || tests[tests.length - 1];
+        return next ? next.date : null;
+    },
+
     /**
      * Update countdown display
      */
     update() {
         const now = new Date();
-        const timeDiff = this.targetDate - now;
+        const target = this.getTarget(now);
+
+        // Move on to the next date as soon as one passes, and redraw the timeline each new day
+        if (target !== this.target || StudyDay.today() !== this.renderedDay) {
+            this.target = target;
+            this.targetDate = target ? target.date : null;
+            this.renderedDay = StudyDay.today();
+            this.renderTarget();
+            this.renderTimeline(now);
+        }
 
-        // Check if countdown has ended
-        if (timeDiff <= 0) {
+        // Check if every date has passed
+        if (!target) {
             this.displayCompleted();
-            clearInterval(this.interval);
             return;
         }
 
+        const timeDiff = target.date - now;
+
         // Calculate time units
         const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
         const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
@@ -83,25 +192,49 @@ const Countdown = {
      * @param {Date} now - Current date
      */
     updateProgress(now) {
-        // Calculate progress percentage
-        const totalTime = this.targetDate - this.startDate;
+        // The study period runs from the start date to the next test, whatever the countdown targets
+        const testDate = this.getTestDate(now) || this.targetDate;
+        const totalTime = testDate - this.startDate;
         const elapsed = now - this.startDate;
-        const percentage = Math.min((elapsed / totalTime) * 100, 100);
+        const timePercent = totalTime > 0 ? Math.min(Math.max((elapsed / totalTime) * 100, 0), 100) : 100;
+        const plan = StudyPlan.progress;
 
-        // Update progress bar
-        this.elements.progressBar.style.width = `${percentage}%`;
+        // Fill the bar with study done against the plan, and mark how much time has gone
+        this.elements.progressBar.style.width = `${plan ? plan.planPercent : timePercent}%`;
+        this.elements.progressMarker.style.left = `${timePercent}%`;
+        this.elements.progressMarker.classList.toggle('hidden', !plan);
 
         // Update progress text
-        const daysTotal = Math.floor(totalTime / (1000 * 60 * 60 * 24));
-        const daysElapsed = Math.floor(elapsed / (1000 * 60 * 60 * 24));
+        const daysTotal = StudyDay.daysBetween(StudyDay.getKey(this.startDate), StudyDay.getKey(testDate));
+        const daysElapsed = Math.min(Math.max(StudyDay.daysBetween(StudyDay.getKey(this.startDate), StudyDay.today()), 0), daysTotal);
         const daysRemaining = daysTotal - daysElapsed;
 
-        this.elements.progressText.textContent =
-            `${daysElapsed} days completed • ${daysRemaining} days remaining • ${percentage.toFixed(1)}% of study period`;
+        if (this.isTestDay(now)) {
+            this.elements.progressText.textContent = 'It\'s test day! You\'ve got this! 🎉';
+        } else if (plan) {
+            const pace = plan.planPercent >= timePercent + 5 ? 'ahead of plan 🚀'
+                : plan.planPercent <= timePercent - 5 ? 'behind plan - time to catch up'
+                    : 'on track ✅';
+            this.elements.progressText.textContent = `Day ${daysElapsed} of ${daysTotal} • ` +
+                `${Math.round(plan.planPercent)}% of planned study done, ${Math.round(timePercent)}% of time gone • ${pace}`;
+        } else {
+            this.elements.progressText.textContent =
+                `${daysElapsed} days completed • ${daysRemaining} days remaining • ${timePercent.toFixed(1)}% of study period`;
+        }
+    },
+
+    /**
+     * Check if a test started earlier today
+     * @param {Date} now - Current date
+     * @returns {boolean} True on test day once the test has begun
+     */
+    isTestDay(now) {
+        return this.milestones.some(milestone =>
+            milestone.type === 'test' && milestone.date <= now && StudyDay.isToday(milestone.date));
     },
 
     /**
-     * Display when countdown is complete
+     * Display when every date has passed
      */
     displayCompleted() {
         this.elements.days.textContent = '00';
@@ -109,7 +242,89 @@ const Countdown = {
         this.elements.minutes.textContent = '00';
         this.elements.seconds.textContent = '00';
         this.elements.progressBar.style.width = '100%';
-        this.elements.progressText.textContent = 'It\'s test day! You\'ve got this! 🎉';
+        this.elements.progressText.textContent = this.isTestDay(new Date())
+            ? 'It\'s test day! You\'ve got this! 🎉'
+            : 'Every key date is behind you. So proud of you! 🎉';
+    },
+
+    /**
+     * Show which milestone the countdown is counting to
+     */
+    renderTarget() {
+        const target = this.target;
+        this.elements.targetLabel.textContent = target
+            ? `${this.TYPE_ICONS[target.type]} until ${target.name} • ${this.formatDate(target.date)}` +
+                (target.id === this.pinnedId ? ' 📍' : '')
+            : 'Every key date has passed';
+    },
+
+    /**
+     * Fill the pin picker with every milestone
+     */
+    renderPinOptions() {
+        const select = this.elements.targetSelect;
+        select.innerHTML = '';
+
+        const next = document.createElement('option');
+        next.value = '';
+        next.textContent = 'Next upcoming date';
+        select.appendChild(next);
+
+        this.milestones.forEach(milestone => {
+            const option = document.createElement('option');
+            option.value = milestone.id;
+            option.textContent = `${milestone.name} (${milestone.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })})`;
+            select.appendChild(option);
+        });
+
+        select.value = this.milestones.some(milestone => milestone.id === this.pinnedId) ? this.pinnedId : '';
+    },
+
+    /**
+     * Render every milestone in date order with a marker for today
+     * @param {Date} now - Current date
+     */
+    renderTimeline(now) {
+        const today = StudyDay.today();
+        const timeline = this.elements.timeline;
+        let todayShown = false;
+        timeline.innerHTML = '';
+
+        const addToday = () => {
+            const marker = document.createElement('li');
+            marker.className = 'milestone today';
+            marker.innerHTML = '<span class="milestone-icon">📍</span><span class="milestone-name">Today</span>';
+            timeline.appendChild(marker);
+            todayShown = true;
+        };
+
+        this.milestones.forEach(milestone => {
+            if (!todayShown && milestone.date > now) addToday();
+
+            const days = StudyDay.daysBetween(today, StudyDay.getKey(milestone.date));
+            const item = document.createElement('li');
+            item.className = 'milestone';
+            item.classList.toggle('past', milestone.date <= now);
+            item.classList.toggle('target', milestone === this.target);
+
+            const icon = document.createElement('span');
+            icon.className = 'milestone-icon';
+            icon.textContent = this.TYPE_ICONS[milestone.type];
+
+            const name = document.createElement('span');
+            name.className = 'milestone-name';
+            name.textContent = milestone.name;
+
+            const when = document.createElement('span');
+            when.className = 'milestone-when';
+            when.textContent = `${milestone.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })} • ` +
+                (days === 0 ? 'today' : days > 0 ? `in ${days} day${days === 1 ? '' : 's'}` : `${-days} day${days === -1 ? '' : 's'} ago`);
+
+            item.append(icon, name, when);
+            timeline.appendChild(item);
+        });
+
+        if (!todayShown) addToday();
     },
 
     /**
@@ -122,21 +337,22 @@ const Countdown = {
     },
 
     /**
-     * Get days until test
+     * Get days until the next test
      * @returns {number} Days remaining
      */
     getDaysUntil() {
         const now = new Date();
-        const timeDiff = this.targetDate - now;
+        const timeDiff = this.getTestDate(now) - now;
         return Math.ceil(timeDiff / (1000 * 60 * 60 * 24));
     },
 
     /**
-     * Get formatted date string
+     * Format a date for display
+     * @param {Date} date - Date to format
      * @returns {string} Formatted date
      */
-    getFormattedDate() {
-        return this.targetDate.toLocaleDateString('en-US', {
+    formatDate(date) {
+        return date.toLocaleDateString('en-US', {
             weekday: 'long',
             year: 'numeric',
             month: 'long',
@@ -144,6 +360,14 @@ const Countdown = {
         });
     },
 
+    /**
+     * Get formatted date string
+     * @returns {string} Formatted date
+     */
+    getFormattedDate() {
+        return this.targetDate ? this.formatDate(this.targetDate) : '';
+    },
+
     /**
      * Stop countdown
      */
@@ -155,11 +379,13 @@ const Countdown = {
     },
 
     /**
-     * Restart countdown with new date
+     * Restart countdown with new dates
      * @param {string} newDate - New ISO date string
+     * @param {Array} milestones - Milestones (name, date and optional type)
+     * @param {string} startDate - Study start date
      */
-    restart(newDate) {
+    restart(newDate, milestones = [], startDate = null) {
         this.stop();
-        this.init(newDate);
+        this.init(newDate, milestones, startDate);
     }
 };
@@ -0,0 +1,228 @@
+/**
+ * Study-Time Goals
+ * Daily and weekly minute targets with progress rings filled from the session log
+ */
+
+const Goals = {
+    // DOM elements
+    elements: {
+        dailyRing: null,
+        dailyText: null,
+        weeklyRing: null,
+        weeklyText: null,
+        summary: null,
+        history: null,
+        dailyInput: null,
+        weeklyInput: null,
+        applyBtn: null
+    },
+
+    // Goals in minutes (0 = no goal) - will be set from config
+    goals: {
+        dailyMinutes: 120,
+        weeklyMinutes: 600
+    },
+
+    // Circumference of the progress rings (radius 52)
+    RING_CIRCUMFERENCE: 2 * Math.PI * 52,
+
+    // Days shown in the goal history strip
+    HISTORY_DAYS: 7,
+
+    // Day the daily goal was last announced as met
+    metDate: null,
+
+    /**
+     * Initialize study goals
+     * @param {Object} studyGoals - config.json studyGoals
+     */
+    init(studyGoals = {}) {
+        // Cache DOM elements
+        this.elements.dailyRing = document.getElementById('dailyGoalRing');
+        this.elements.dailyText = document.getElementById('dailyGoalText');
+        this.elements.weeklyRing = document.getElementById('weeklyGoalRing');
+        this.elements.weeklyText = document.getElementById('weeklyGoalText');
+        this.elements.summary = document.getElementById('goalSummary');
+        this.elements.history = document.getElementById('goalHistory');
+        this.elements.dailyInput = document.getElementById('dailyGoalMinutes');
+        this.elements.weeklyInput = document.getElementById('weeklyGoalMinutes');
+        this.elements.applyBtn = document.getElementById('applyGoals');
+
+        // Goals saved from the goals panel take priority over config.json
+        this.goals = { ...this.goals, ...studyGoals, ...Storage.getGoalSettings() };
+        this.elements.dailyInput.value = this.goals.dailyMinutes;
+        this.elements.weeklyInput.value = this.goals.weeklyMinutes;
+
+        this.metDate = this.isDailyGoalMet() ? Storage.getDateKey() : null;
+
+        // Set up event listeners
+        this.elements.applyBtn.addEventListener('click', () => this.applySettings());
+        document.addEventListener('sessionLogChanged', () => this.checkDailyGoal());
+        window.addEventListener('storage', (e) => {
+            if (e.key === Storage.KEYS.SESSION_LOG) this.checkDailyGoal();
+        });
+
+        this.render();
+    },
+
+    /**
+     * Save goals from the goals panel
+     */
+    applySettings() {
+        const dailyMinutes = parseInt(this.elements.dailyInput.value);
+        const weeklyMinutes = parseInt(this.elements.weeklyInput.value);
+
+        if (dailyMinutes >= 0 && weeklyMinutes >= 0) {
+            this.goals = { dailyMinutes, weeklyMinutes };
+            Storage.setGoalSettings(this.goals);
+            this.checkDailyGoal();
+
+            // Show confirmation
+            this.elements.applyBtn.textContent = '✓ Applied!';
+            setTimeout(() => {
+                this.elements.applyBtn.textContent = 'Apply';
+            }, 2000);
+        }
+    },
+
+    /**
+     * Get minutes logged on a day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {number} Minutes
+     */
+    getMinutesOn(dateKey) {
+        return SessionLog.getMinutes({ from: dateKey, to: dateKey });
+    },
+
+    /**
+     * Get minutes logged in the week starting on a Monday
+     * @param {string} weekKey - Monday date key (defaults to this week)
+     * @returns {number} Minutes
+     */
+    getWeekMinutes(weekKey = Stats.getWeekKey(new Date())) {
+        return SessionLog.getMinutes({ from: weekKey, to: Storage.addDaysToKey(weekKey, 6) });
+    },
+
+    /**
+     * Check if the daily goal was met on a day
+     * @param {string} dateKey - Date key (defaults to today)
+     * @returns {boolean} True if a daily goal is set and was reached
+     */
+    isDailyGoalMet(dateKey = Storage.getDateKey()) {
+        return this.goals.dailyMinutes > 0 && this.getMinutesOn(dateKey) >= this.goals.dailyMinutes;
+    },
+
+    /**
+     * Summarize a day against the daily goal
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Object} Summary with date, minutes, sessions, goal and met
+     */
+    getDaySummary(dateKey) {
+        const sessions = SessionLog.getSessions({ from: dateKey, to: dateKey });
+
+        return {
+            date: dateKey,
+            minutes: sessions.reduce((sum, record) => sum + record.durationMinutes, 0),
+            sessions: sessions.length,
+            goal: this.goals.dailyMinutes,
+            met: this.isDailyGoalMet(dateKey)
+        };
+    },
+
+    /**
+     * Announce the daily goal the first time it is met each day, then re-render
+     */
+    checkDailyGoal() {
+        const today = Storage.getDateKey();
+
+        if (this.metDate !== today && this.isDailyGoalMet(today)) {
+            this.metDate = today;
+            document.dispatchEvent(new CustomEvent('dailyGoalMet', {
+                detail: this.getDaySummary(today)
+            }));
+        }
+
+        this.render();
+    },
+
+    /**
+     * Render the rings, yesterday's summary and the history strip
+     */
+    render() {
+        const todayMinutes = this.getMinutesOn(Storage.getDateKey());
+        const weekMinutes = this.getWeekMinutes();
+
+        this.renderRing(this.elements.dailyRing, this.elements.dailyText, todayMinutes, this.goals.dailyMinutes);
+        this.renderRing(this.elements.weeklyRing, this.elements.weeklyText, weekMinutes, this.goals.weeklyMinutes);
+        this.renderSummary();
+        this.renderHistory();
+    },
+
+    /**
+     * Fill a progress ring
+     * @param {SVGCircleElement} ring - Ring fill circle
+     * @param {HTMLElement} textEl - Label inside the ring
+     * @param {number} minutes - Minutes done
+     * @param {number} goal - Goal in minutes (0 = no goal)
+     */
+    renderRing(ring, textEl, minutes, goal) {
+        const fraction = goal > 0 ? Math.min(minutes / goal, 1) : 0;
+
+        ring.style.strokeDasharray = this.RING_CIRCUMFERENCE;
+        ring.style.strokeDashoffset = this.RING_CIRCUMFERENCE * (1 - fraction);
+        ring.classList.toggle('complete', goal > 0 && minutes >= goal);
+
+        textEl.textContent = goal > 0
+            ? `${Math.round(minutes)} / ${goal} min`
+            : `${Math.round(minutes)} min`;
+    },
+
+    /**
+     * Render the end-of-day summary for yesterday
+     */
+    renderSummary() {
+        const yesterday = this.getDaySummary(Storage.addDaysToKey(Storage.getDateKey(), -1));
+        const el = this.elements.summary;
+
+        if (yesterday.goal <= 0) {
+            el.textContent = yesterday.sessions > 0
+                ? `Yesterday: ${SessionLog.formatMinutes(yesterday.minutes)} studied`
+                : '';
+        } else if (yesterday.sessions === 0) {
+            el.textContent = 'Yesterday: no study sessions logged';
+        } else if (yesterday.met) {
+            el.textContent = `✅ Yesterday: goal met with ${SessionLog.formatMinutes(yesterday.minutes)} ` +
+                `across ${yesterday.sessions} session${yesterday.sessions === 1 ? '' : 's'}`;
+        } else {
+            el.textContent = `Yesterday: ${SessionLog.formatMinutes(yesterday.minutes)} of ${yesterday.goal} min, ` +
+                `${SessionLog.formatMinutes(yesterday.goal - yesterday.minutes)} short`;
+        }
+
+        el.classList.toggle('met', yesterday.met);
+    },
+
+    /**
+     * Render one marker per recent day, oldest first
+     */
+    renderHistory() {
+        const today = Storage.getDateKey();
+        this.elements.history.innerHTML = '';
+
+        for (let i = this.HISTORY_DAYS - 1; i >= 0; i--) {
+            const summary = this.getDaySummary(Storage.addDaysToKey(today, -i));
+            const date = StudyDay.parseKey(summary.date);
+
+            const marker = document.createElement('span');
+            marker.className = 'goal-day';
+            marker.classList.toggle('met', summary.met);
+            marker.classList.toggle('studied', !summary.met && summary.sessions > 0);
+            marker.classList.toggle('today', i === 0);
+            marker.textContent = date.toLocaleDateString('en-US', { weekday: 'narrow' });
+            marker.title = `${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}: ` +
+                `${SessionLog.formatMinutes(summary.minutes)}` +
+                (summary.goal > 0 ? ` of ${summary.goal} min${summary.met ? ' ✅' : ''}` : '');
+
+            this.elements.history.appendChild(marker);
+        }
+    }
+};
@@ -0,0 +1,266 @@
+/**
+ * Wrong-Answer Journal
+ * Per-question notes with a mistake category, plus a log of every missed question
+ */
+
+const Journal = {
+    // DOM elements
+    elements: {
+        categorySelect: null,
+        noteInput: null,
+        saveBtn: null,
+        savedText: null,
+        logFilter: null,
+        logSummary: null,
+        logList: null
+    },
+
+    // Mistake categories (key: label)
+    MISTAKE_CATEGORIES: {
+        misread: '👀 Misread the question',
+        conditional_logic: '🔀 Conditional-logic error',
+        out_of_time: '⏰ Ran out of time',
+        trap_answer: '🪤 Fell for a trap answer',
+        concept_gap: '📚 Didn\'t know the concept',
+        careless: '✏️ Careless mistake',
+        other: '❓ Other'
+    },
+
+    // Question shown in the Daily Challenge card
+    currentQuestionId: null,
+
+    /**
+     * Initialize journal
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.categorySelect = document.getElementById('journalCategory');
+        this.elements.noteInput = document.getElementById('journalNote');
+        this.elements.saveBtn = document.getElementById('saveJournal');
+        this.elements.savedText = document.getElementById('journalSaved');
+        this.elements.logFilter = document.getElementById('mistakeLogFilter');
+        this.elements.logSummary = document.getElementById('mistakeLogSummary');
+        this.elements.logList = document.getElementById('mistakeLogList');
+
+        // Populate category selects
+        this.populateCategories(this.elements.categorySelect, 'No category');
+        this.populateCategories(this.elements.logFilter, 'All categories');
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        // Load the entry for whatever question is already displayed
+        if (Questions.currentQuestion) {
+            this.loadEntry(Questions.currentQuestion.id);
+        }
+
+        this.renderLog();
+    },
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.saveBtn.addEventListener('click', () => this.saveEntry());
+        this.elements.logFilter.addEventListener('change', () => this.renderLog());
+
+        document.addEventListener('questionDisplayed', (e) => this.loadEntry(e.detail.questionId));
+        document.addEventListener('questionAnswered', () => this.renderLog());
+    },
+
+    /**
+     * Fill a select with the mistake categories
+     * @param {HTMLSelectElement} select - Select element
+     * @param {string} emptyLabel - Label for the empty option
+     */
+    populateCategories(select, emptyLabel) {
+        select.innerHTML = '';
+
+        const emptyOption = document.createElement('option');
+        emptyOption.value = '';
+        emptyOption.textContent = emptyLabel;
+        select.appendChild(emptyOption);
+
+        Object.entries(this.MISTAKE_CATEGORIES).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Load a question's entry into the card form
+     * @param {number|string} questionId - Question ID
+     */
+    loadEntry(questionId) {
+        const entry = Storage.getJournalEntry(questionId);
+
+        this.currentQuestionId = questionId;
+        this.elements.categorySelect.value = entry ? entry.category : '';
+        this.elements.noteInput.value = entry ? entry.note : '';
+        this.elements.savedText.textContent = entry ? `Saved ${this.formatDate(entry.updated)}` : '';
+    },
+
+    /**
+     * Save the card form for the current question
+     */
+    saveEntry() {
+        if (this.currentQuestionId === null) return;
+
+        Storage.saveJournalEntry(
+            this.currentQuestionId,
+            this.elements.noteInput.value,
+            this.elements.categorySelect.value
+        );
+
+        this.elements.saveBtn.textContent = '✓ Saved!';
+        setTimeout(() => {
+            this.elements.saveBtn.textContent = 'Save Note';
+        }, 2000);
+
+        this.loadEntry(this.currentQuestionId);
+        this.renderLog();
+    },
+
+    /**
+     * Get every question with at least one wrong answer, most recent miss first
+     * @returns {Array} Entries as { question, lastMiss, entry }
+     */
+    getMissedQuestions() {
+        const answered = Storage.getAnsweredQuestions();
+        const journal = Storage.getJournal();
+        const missed = [];
+
+        Object.keys(answered).forEach(questionId => {
+            const index = Questions.getQuestionIndex(questionId);
+            if (index < 0) return;
+            if (BlindReview.isPending(questionId)) return; // Result still hidden
+
+            const misses = answered[questionId].attempts.filter(a => a.correct === false);
+            if (misses.length === 0) return;
+
+            missed.push({
+                question: Questions.allQuestions[index],
+                lastMiss: misses[misses.length - 1],
+                missCount: misses.length,
+                entry: journal[questionId] || null
+            });
+        });
+
+        return missed.sort((a, b) => b.lastMiss.date.localeCompare(a.lastMiss.date));
+    },
+
+    /**
+     * Render the mistake log
+     */
+    renderLog() {
+        const filter = this.elements.logFilter.value;
+        const missed = this.getMissedQuestions();
+        const shown = missed.filter(m => !filter || (m.entry && m.entry.category === filter));
+
+        this.renderSummary(missed);
+
+        this.elements.logList.innerHTML = '';
+
+        if (shown.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'mistake-log-empty';
+            empty.textContent = missed.length === 0
+                ? 'No missed questions yet. Nice work!'
+                : 'No missed questions in this category.';
+            this.elements.logList.appendChild(empty);
+            return;
+        }
+
+        shown.forEach(item => this.elements.logList.appendChild(this.createLogItem(item)));
+    },
+
+    /**
+     * Render counts per mistake category
+     * @param {Array} missed - Missed question entries
+     */
+    renderSummary(missed) {
+        const counts = {};
+        missed.forEach(m => {
+            const key = m.entry && m.entry.category ? m.entry.category : 'uncategorized';
+            counts[key] = (counts[key] || 0) + 1;
+        });
+
+        const parts = Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .map(([key, count]) => `${this.MISTAKE_CATEGORIES[key] || '🏷️ Uncategorized'}: ${count}`);
+
+        this.elements.logSummary.textContent = missed.length > 0
+            ? `${missed.length} missed question${missed.length === 1 ? '' : 's'} • ${parts.join(' • ')}`
+            : '';
+    },
+
+    /**
+     * Create a mistake log list item
+     * @param {Object} item - Missed question entry
+     * @returns {HTMLLIElement} List item
+     */
+    createLogItem(item) {
+        const { question, lastMiss, missCount, entry } = item;
+        const li = document.createElement('li');
+        li.className = 'mistake-log-item';
+
+        const meta = document.createElement('div');
+        meta.className = 'bank-item-meta';
+        meta.textContent = [
+            `#${question.id}`,
+            Questions.formatQuestionType(question.type),
+            `Missed ${missCount}×`,
+            `Last: ${this.formatDate(lastMiss.date)}`
+        ].join(' • ');
+
+        const text = document.createElement('p');
+        text.className = 'bank-item-text';
+        text.textContent = question.question;
+
+        const picks = document.createElement('p');
+        picks.className = 'mistake-log-picks';
+        picks.textContent = lastMiss.choice
+            ? `You picked (${lastMiss.choice}) • Correct: (${question.correctChoice})`
+            : `Correct: (${question.correctChoice})`;
+
+        li.appendChild(meta);
+        li.appendChild(text);
+        li.appendChild(picks);
+
+        if (entry) {
+            const note = document.createElement('p');
+            note.className = 'mistake-log-note';
+            note.textContent = [
+                entry.category ? this.MISTAKE_CATEGORIES[entry.category] : '',
+                entry.note
+            ].filter(Boolean).join(' — ');
+            li.appendChild(note);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'bank-item-actions';
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'btn-nav';
+        openBtn.textContent = entry ? 'Open & Edit Note' : 'Open & Add Note';
+        openBtn.addEventListener('click', () => QuestionBank.openQuestion(question.id));
+        actions.appendChild(openBtn);
+        li.appendChild(actions);
+
+        return li;
+    },
+
+    /**
+     * Format an ISO date for display
+     * @param {string} isoString - ISO date string
+     * @returns {string} Formatted date
+     */
+    formatDate(isoString) {
+        return new Date(isoString).toLocaleDateString('en-US', {
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+};
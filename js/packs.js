@@ -0,0 +1,613 @@
+/**
+ * Question Packs
+ * Loads extra questions from JSON, CSV or Markdown files, namespaced so IDs never collide
+ */
+
+const QuestionPacks = {
+    // DOM elements
+    elements: {
+        fileInput: null,
+        message: null,
+        errors: null,
+        list: null
+    },
+
+    // Packs listed under questionPacks in config.json (fetched on every load)
+    sitePacks: [],
+
+    // Problems found while loading site packs
+    loadErrors: [],
+
+    // Maximum number of validation errors listed at once
+    MAX_ERRORS: 10,
+
+    /**
+     * Fetch the packs listed in config.json
+     * @param {Array} paths - Pack file paths relative to the site root
+     */
+    async loadSitePacks(paths) {
+        this.sitePacks = [];
+        this.loadErrors = [];
+
+        for (const path of paths || []) {
+            try {
+                const response = await fetch(path);
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch ${path}`);
+                }
+
+                const { pack, errors } = this.buildPack(await response.text(), path, 'site');
+                if (errors.length > 0) {
+                    this.loadErrors.push(...errors.map(error => `${path}: ${error}`));
+                } else {
+                    this.sitePacks.push(pack);
+                }
+            } catch (error) {
+                console.error('Error loading question pack:', error);
+                this.loadErrors.push(`${path}: could not be loaded`);
+            }
+        }
+    },
+
+    /**
+     * Initialize the question pack manager
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.fileInput = document.getElementById('packFile');
+        this.elements.message = document.getElementById('packMessage');
+        this.elements.errors = document.getElementById('packErrors');
+        this.elements.list = document.getElementById('packList');
+
+        this.elements.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importFile(file);
+            e.target.value = '';
+        });
+
+        this.renderErrors(this.loadErrors);
+        this.render();
+    },
+
+    /**
+     * Get every pack, site packs first
+     * @returns {Array} Packs with an enabled flag
+     */
+    getPacks() {
+        const stored = Storage.getQuestionPacks();
+        return [...this.sitePacks, ...stored.imported].map(pack => ({
+            ...pack,
+            enabled: !stored.disabled.includes(pack.id)
+        }));
+    },
+
+    /**
+     * Get questions from enabled packs
+     * @returns {Array} Namespaced question objects
+     */
+    getActiveQuestions() {
+        return this.getPacks().filter(p => p.enabled).flatMap(p => p.questions);
+    },
+
+    /**
+     * Get passages from enabled packs
+     * @returns {Array} Namespaced passage objects
+     */
+    getActivePassages() {
+        return this.getPacks().filter(p => p.enabled).flatMap(p => p.passages);
+    },
+
+    /**
+     * Parse, namespace and validate a pack file
+     * @param {string} text - File contents
+     * @param {string} filename - File name (used for the format and default name)
+     * @param {string} source - 'site' or 'imported'
+     * @returns {Object} { pack, errors }
+     */
+    buildPack(text, filename, source) {
+        let parsed;
+        try {
+            parsed = this.parse(text, filename);
+        } catch (error) {
+            return { pack: null, errors: [error.message] };
+        }
+
+        const baseName = filename.split('/').pop().replace(/\.[^.]+$/, '');
+        const name = parsed.name || baseName;
+        const id = this.slugify(parsed.id || name);
+
+        const pack = {
+            id,
+            name,
+            source,
+            format: this.getFormat(filename),
+            importedAt: new Date().toISOString(),
+            questions: parsed.questions.map(q => this.namespaceQuestion(q, id)),
+            passages: parsed.passages.map(p => ({ ...p, id: this.namespaceId(p.id, id) }))
+        };
+
+        return { pack, errors: id ? this.validatePack(pack) : ['Pack needs a name.'] };
+    },
+
+    /**
+     * Detect a pack's format from its file name
+     * @param {string} filename - File name
+     * @returns {string} 'json', 'csv' or 'markdown'
+     */
+    getFormat(filename) {
+        const extension = filename.split('.').pop().toLowerCase();
+        if (extension === 'csv') return 'csv';
+        if (extension === 'md' || extension === 'markdown') return 'markdown';
+        return 'json';
+    },
+
+    /**
+     * Parse a pack file
+     * @param {string} text - File contents
+     * @param {string} filename - File name
+     * @returns {Object} { id, name, questions, passages } with original IDs
+     */
+    parse(text, filename) {
+        const format = this.getFormat(filename);
+        if (format === 'csv') return this.parseCSV(text);
+        if (format === 'markdown') return this.parseMarkdown(text);
+        return this.parseJSON(text);
+    },
+
+    /**
+     * Parse a JSON pack, a bare question array, or a whole config.json
+     * @param {string} text - File contents
+     * @returns {Object} Parsed pack
+     */
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON: ${error.message}`);
+        }
+
+        const parsed = Array.isArray(data)
+            ? { name: null, questions: data, passages: [] }
+            : {
+                id: (data && data.id) || null,
+                name: (data && data.name) || null,
+                questions: (data && (data.questions || data.dailyQuestions)) || [],
+                passages: (data && data.passages) || []
+            };
+
+        // Namespacing expects lists of objects, so reject anything else before it gets there
+        [['Question', parsed.questions], ['Passage', parsed.passages]].forEach(([label, list]) => {
+            if (!Array.isArray(list)) {
+                throw new Error(`${label}s must be a list.`);
+            }
+            const bad = list.findIndex(item => !item || typeof item !== 'object' || Array.isArray(item));
+            if (bad >= 0) {
+                throw new Error(`${label} ${bad + 1}: must be an object.`);
+            }
+        });
+
+        return parsed;
+    },
+
+    /**
+     * Parse a CSV pack (one question per row, with a header row)
+     * Columns: id, type, question, A–E, correct, answer, explanation, difficulty, tags, passageId
+     * @param {string} text - File contents
+     * @returns {Object} Parsed pack
+     */
+    parseCSV(text) {
+        const rows = this.parseCSVRows(text).filter(row => row.some(cell => cell.trim()));
+        if (rows.length < 2) {
+            throw new Error('CSV needs a header row and at least one question.');
+        }
+
+        const header = rows[0].map(cell => cell.trim().toLowerCase());
+        const questions = rows.slice(1).map(row => {
+            const fields = {};
+            header.forEach((column, index) => {
+                fields[column] = (row[index] || '').trim();
+            });
+
+            const choices = Questions.CHOICE_LETTERS
+                .map(letter => fields[letter.toLowerCase()] || fields[`choice${letter.toLowerCase()}`] || '');
+            while (choices.length > 0 && !choices[choices.length - 1]) {
+                choices.pop();
+            }
+
+            return this.buildQuestion({
+                id: fields.id,
+                type: fields.type,
+                difficulty: fields.difficulty,
+                tags: fields.tags,
+                passageId: fields.passageid,
+                question: fields.question,
+                choices,
+                correctChoice: fields.correct || fields.correctchoice,
+                answer: fields.answer,
+                explanation: fields.explanation
+            });
+        });
+
+        return { name: null, questions, passages: [] };
+    },
+
+    /**
+     * Split CSV text into rows of cells (quoted cells may hold commas, quotes and newlines)
+     * @param {string} text - CSV text
+     * @returns {Array} Rows of cell strings
+     */
+    parseCSVRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows;
+    },
+
+    /**
+     * Parse a Markdown pack made of front-matter blocks
+     * A block without an id and with a name is the pack header; type: passage blocks are passages
+     * @param {string} text - File contents
+     * @returns {Object} Parsed pack
+     */
+    parseMarkdown(text) {
+        const pack = { name: null, questions: [], passages: [] };
+
+        this.splitFrontMatter(text).forEach(({ meta, body }) => {
+            if (!meta.id && meta.name) {
+                pack.name = meta.name;
+            } else if (meta.type === 'passage') {
+                pack.passages.push({ id: meta.id, title: meta.title || meta.id, text: body.trim() });
+            } else {
+                pack.questions.push(this.parseMarkdownQuestion(meta, body));
+            }
+        });
+
+        if (pack.questions.length === 0) {
+            throw new Error('No questions found. Each question starts with a --- front-matter block.');
+        }
+
+        return pack;
+    },
+
+    /**
+     * Split Markdown text into front-matter blocks and their bodies
+     * @param {string} text - File contents
+     * @returns {Array} Blocks as { meta, body }
+     */
+    splitFrontMatter(text) {
+        const parts = text.replace(/\r\n?/g, '\n').split(/^---[ \t]*$/m);
+        const blocks = [];
+
+        // parts: [before, meta, body, meta, body, ...]
+        for (let i = 1; i < parts.length; i += 2) {
+            const meta = {};
+            parts[i].split('\n').forEach(line => {
+                const match = line.match(/^\s*([A-Za-z]+)\s*:\s*(.*)$/);
+                if (match) meta[match[1].toLowerCase()] = match[2].trim();
+            });
+            blocks.push({ meta, body: parts[i + 1] || '' });
+        }
+
+        return blocks;
+    },
+
+    /**
+     * Build a question from a Markdown block
+     * The body holds the question text, then optional ## Choices, ## Answer and ## Explanation sections
+     * @param {Object} meta - Front-matter fields
+     * @param {string} body - Markdown body
+     * @returns {Object} Question object
+     */
+    parseMarkdownQuestion(meta, body) {
+        const sections = { question: [] };
+        let current = 'question';
+
+        body.split('\n').forEach(line => {
+            const heading = line.match(/^##\s+(\w+)/);
+            if (heading) {
+                current = heading[1].toLowerCase();
+                sections[current] = [];
+            } else if (sections[current]) {
+                sections[current].push(line);
+            }
+        });
+
+        const join = lines => (lines || []).join('\n').trim();
+        const choices = (sections.choices || [])
+            .map(line => line.replace(/^\s*[-*]?\s*\(?[A-E][).:]\s*/, '').trim())
+            .filter(Boolean);
+
+        return this.buildQuestion({
+            id: meta.id,
+            type: meta.type,
+            difficulty: meta.difficulty,
+            tags: meta.tags,
+            passageId: meta.passageid || meta.passage,
+            question: join(sections.question),
+            choices,
+            correctChoice: meta.correct || meta.correctchoice,
+            answer: meta.answer || join(sections.answer),
+            explanation: join(sections.explanation)
+        });
+    },
+
+    /**
+     * Build a question object from loose text fields, in config.json field order
+     * @param {Object} fields - Raw field values
+     * @returns {Object} Question object
+     */
+    buildQuestion(fields) {
+        const question = {
+            id: /^\d+$/.test(fields.id || '') ? Number(fields.id) : fields.id,
+            type: fields.type
+        };
+
+        const tags = (fields.tags || '').split(/[;,]/).map(t => t.trim()).filter(Boolean);
+        if (fields.difficulty) question.difficulty = fields.difficulty.toLowerCase();
+        if (tags.length > 0) question.tags = tags;
+        if (fields.passageId) question.passageId = fields.passageId;
+
+        question.question = fields.question;
+
+        if (fields.choices.length > 0) {
+            question.choices = fields.choices;
+            question.correctChoice = (fields.correctChoice || '').toUpperCase();
+        } else {
+            question.answer = fields.answer;
+        }
+
+        question.explanation = fields.explanation;
+
+        return question;
+    },
+
+    /**
+     * Prefix an ID with its pack's ID
+     * @param {number|string} id - Original ID
+     * @param {string} packId - Pack ID
+     * @returns {string|null} Namespaced ID
+     */
+    namespaceId(id, packId) {
+        if (id === undefined || id === null || id === '') return null;
+
+        const prefix = `${packId}:`;
+        return String(id).startsWith(prefix) ? String(id) : prefix + id;
+    },
+
+    /**
+     * Namespace a question's ID and passage reference
+     * @param {Object} question - Question object
+     * @param {string} packId - Pack ID
+     * @returns {Object} Namespaced copy
+     */
+    namespaceQuestion(question, packId) {
+        const namespaced = { ...question, id: this.namespaceId(question.id, packId) };
+        if (question.passageId) {
+            namespaced.passageId = this.namespaceId(question.passageId, packId);
+        }
+        return namespaced;
+    },
+
+    /**
+     * Check a namespaced pack for problems
+     * @param {Object} pack - Pack
+     * @returns {Array} Error messages
+     */
+    validatePack(pack) {
+        const errors = [];
+        const passages = {};
+
+        if (pack.questions.length === 0) {
+            errors.push('Pack has no questions.');
+        }
+
+        pack.passages.forEach((passage, index) => {
+            if (!passage.id) errors.push(`Passage ${index + 1}: ID is required.`);
+            if (!passage.text) errors.push(`Passage ${passage.id || index + 1}: text is required.`);
+            if (passage.id) passages[passage.id] = passage;
+        });
+
+        pack.questions.forEach((question, index) => {
+            const otherIds = pack.questions.filter((_, i) => i !== index).map(q => q.id);
+            const label = question.id ? question.id.slice(pack.id.length + 1) : index + 1;
+            Authoring.validateQuestion(question, otherIds, passages).forEach(error => {
+                errors.push(`Question ${label}: ${error}`);
+            });
+        });
+
+        return errors;
+    },
+
+    /**
+     * Import a pack file chosen by the user
+     * @param {File} file - Selected file
+     */
+    async importFile(file) {
+        const { pack, errors } = this.buildPack(await file.text(), file.name, 'imported');
+
+        if (errors.length === 0 && this.sitePacks.some(p => p.id === pack.id)) {
+            errors.push(`A pack named "${pack.name}" already comes with the site.`);
+        }
+
+        this.renderErrors(errors);
+        if (errors.length > 0) {
+            this.elements.message.textContent = `❌ ${file.name} was not imported.`;
+            return;
+        }
+
+        // Re-importing replaces the pack; namespaced IDs keep answer history attached
+        const stored = Storage.getQuestionPacks();
+        const replaced = stored.imported.some(p => p.id === pack.id);
+        stored.imported = stored.imported.filter(p => p.id !== pack.id).concat(pack);
+        Storage.setQuestionPacks(stored);
+
+        this.elements.message.textContent = `✅ ${replaced ? 'Updated' : 'Imported'} "${pack.name}" ` +
+            `(${pack.questions.length} question${pack.questions.length === 1 ? '' : 's'}). Reloading…`;
+        this.applyChanges();
+    },
+
+    /**
+     * Turn a pack on or off
+     * @param {string} packId - Pack ID
+     * @param {boolean} enabled - New state
+     */
+    setEnabled(packId, enabled) {
+        const stored = Storage.getQuestionPacks();
+        stored.disabled = stored.disabled.filter(id => id !== packId);
+        if (!enabled) stored.disabled.push(packId);
+        Storage.setQuestionPacks(stored);
+
+        this.applyChanges();
+    },
+
+    /**
+     * Remove an imported pack (answer history is kept)
+     * @param {string} packId - Pack ID
+     */
+    removePack(packId) {
+        const pack = this.getPacks().find(p => p.id === packId);
+        if (!pack || !confirm(`Remove "${pack.name}"? Your answer history for it is kept.`)) return;
+
+        const stored = Storage.getQuestionPacks();
+        stored.imported = stored.imported.filter(p => p.id !== packId);
+        stored.disabled = stored.disabled.filter(id => id !== packId);
+        Storage.setQuestionPacks(stored);
+
+        this.applyChanges();
+    },
+
+    /**
+     * Reload so every view picks up the new question set
+     */
+    applyChanges() {
+        window.location.reload();
+    },
+
+    /**
+     * Render the pack list
+     */
+    render() {
+        const packs = this.getPacks();
+        this.elements.list.innerHTML = '';
+
+        if (packs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'mistake-log-empty';
+            empty.textContent = 'No question packs yet.';
+            this.elements.list.appendChild(empty);
+            return;
+        }
+
+        packs.forEach(pack => this.elements.list.appendChild(this.createItem(pack)));
+    },
+
+    /**
+     * Create a pack list item
+     * @param {Object} pack - Pack
+     * @returns {HTMLLIElement} List item
+     */
+    createItem(pack) {
+        const item = document.createElement('li');
+        item.className = 'pack-item';
+
+        const toggle = document.createElement('label');
+        toggle.className = 'pack-toggle';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = pack.enabled;
+        checkbox.addEventListener('change', () => this.setEnabled(pack.id, checkbox.checked));
+        const name = document.createElement('span');
+        name.className = 'pack-name';
+        name.textContent = pack.name;
+        toggle.appendChild(checkbox);
+        toggle.appendChild(name);
+
+        const meta = document.createElement('span');
+        meta.className = 'bank-item-meta';
+        meta.textContent = [
+            `${pack.questions.length} question${pack.questions.length === 1 ? '' : 's'}`,
+            pack.format.toUpperCase(),
+            pack.source === 'site'
+                ? 'From config.json'
+                : `Imported ${new Date(pack.importedAt).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`
+        ].join(' • ');
+
+        item.appendChild(toggle);
+        item.appendChild(meta);
+
+        if (pack.source === 'imported') {
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'btn-nav';
+            removeBtn.textContent = 'Remove';
+            removeBtn.addEventListener('click', () => this.removePack(pack.id));
+            item.appendChild(removeBtn);
+        }
+
+        return item;
+    },
+
+    /**
+     * Show validation errors
+     * @param {Array} errors - Error messages
+     */
+    renderErrors(errors) {
+        this.elements.errors.innerHTML = '';
+        errors.slice(0, this.MAX_ERRORS).forEach(error => {
+            const li = document.createElement('li');
+            li.textContent = error;
+            this.elements.errors.appendChild(li);
+        });
+        if (errors.length > this.MAX_ERRORS) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${errors.length - this.MAX_ERRORS} more`;
+            this.elements.errors.appendChild(more);
+        }
+        this.elements.errors.classList.toggle('hidden', errors.length === 0);
+    },
+
+    /**
+     * Turn a name into a pack ID
+     * @param {string} text - Name
+     * @returns {string} Lower-case slug
+     */
+    slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+};
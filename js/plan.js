@@ -0,0 +1,379 @@
+/**
+ * Study Plan
+ * Splits the days from the study start date to test day into phases with weekly targets,
+ * and turns the current phase into a checklist for today
+ */
+
+const StudyPlan = {
+    // DOM elements
+    elements: {
+        phases: null,
+        current: null,
+        targets: null,
+        checklist: null
+    },
+
+    // Phases in order, with the share of the study period each takes and its weekly targets
+    PHASES: [
+        {
+            id: 'fundamentals',
+            name: 'Fundamentals',
+            icon: '📖',
+            share: 0.3,
+            weeklyMinutes: 420,
+            weeklyQuestions: 50,
+            weeklySections: 0,
+            focus: 'Learn one question type or logic skill and try a few untimed questions'
+        },
+        {
+            id: 'drilling',
+            name: 'Drilling',
+            icon: '🛠️',
+            share: 0.25,
+            weeklyMinutes: 540,
+            weeklyQuestions: 120,
+            weeklySections: 1,
+            focus: 'Drill your weakest question type untimed'
+        },
+        {
+            id: 'timed',
+            name: 'Timed Sections',
+            icon: '⏱️',
+            share: 0.2,
+            weeklyMinutes: 600,
+            weeklyQuestions: 100,
+            weeklySections: 4,
+            focus: 'Complete a timed 35-minute practice section'
+        },
+        {
+            id: 'fullTests',
+            name: 'Full Tests',
+            icon: '📝',
+            share: 0.17,
+            weeklyMinutes: 600,
+            weeklyQuestions: 60,
+            weeklySections: 6,
+            focus: 'Take a full practice test, or blind review the last one'
+        },
+        {
+            id: 'taper',
+            name: 'Taper',
+            icon: '🌿',
+            share: 0.08,
+            weeklyMinutes: 180,
+            weeklyQuestions: 30,
+            weeklySections: 1,
+            focus: 'Keep it light: a few questions, then rest up for test day'
+        }
+    ],
+
+    // Phases with config.json overrides applied
+    phases: [],
+
+    // Generated plan: phases with start and end date keys
+    plan: [],
+
+    // Study start and test day (date keys)
+    startKey: null,
+    testKey: null,
+
+    // Cached plan progress for the countdown bar
+    progress: null,
+
+    /**
+     * Initialize the study plan
+     * @param {Object} planConfig - config.json studyPlan settings
+     */
+    init(planConfig = {}) {
+        // Cache DOM elements
+        this.elements.phases = document.getElementById('planPhases');
+        this.elements.current = document.getElementById('planCurrent');
+        this.elements.targets = document.getElementById('planTargets');
+        this.elements.checklist = document.getElementById('planChecklist');
+
+        // Phase settings from config.json replace the defaults one field at a time
+        const overrides = planConfig.phases || {};
+        this.phases = this.PHASES.map(phase => ({ ...phase, ...overrides[phase.id] }));
+
+        // Set up event listeners
+        document.addEventListener('sessionLogChanged', () => this.refresh());
+        document.addEventListener('questionAnswered', () => this.refresh());
+        window.addEventListener('storage', (e) => {
+            if (e.key === Storage.KEYS.SESSION_LOG || e.key === Storage.KEYS.PLAN_CHECKS) {
+                this.refresh();
+            }
+        });
+
+        // Catch up on a new day when the tab becomes visible again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) this.refresh();
+        });
+
+        this.refresh();
+    },
+
+    /**
+     * Rebuild the plan toward the next test and re-render
+     */
+    refresh() {
+        const testDate = Countdown.getTestDate();
+        this.startKey = Storage.getDateKey(Countdown.startDate);
+        this.testKey = testDate ? Storage.getDateKey(testDate) : null;
+        this.plan = this.testKey ? this.generate(this.startKey, this.testKey) : [];
+        this.progress = this.getProgress();
+        this.render();
+
+        // Redraw the countdown bar with the new progress
+        Countdown.update();
+    },
+
+    /**
+     * Split the days before test day into phases by their share of the period
+     * @param {string} startKey - First study day (YYYY-MM-DD)
+     * @param {string} testKey - Test day (YYYY-MM-DD)
+     * @returns {Array} Phases with start, end (inclusive) and days, skipping any too short to get a day
+     */
+    generate(startKey, testKey) {
+        const totalDays = StudyDay.daysBetween(startKey, testKey);
+        if (totalDays <= 0) return [];
+
+        const totalShare = this.phases.reduce((sum, phase) => sum + phase.share, 0);
+        const plan = [];
+        let shareSoFar = 0;
+        let dayIndex = 0;
+
+        this.phases.forEach(phase => {
+            shareSoFar += phase.share;
+            const endIndex = Math.round((shareSoFar / totalShare) * totalDays);
+            const days = endIndex - dayIndex;
+
+            if (days > 0) {
+                plan.push({
+                    ...phase,
+                    start: StudyDay.addDays(startKey, dayIndex),
+                    end: StudyDay.addDays(startKey, endIndex - 1),
+                    days
+                });
+            }
+            dayIndex = endIndex;
+        });
+
+        return plan;
+    },
+
+    /**
+     * Get the phase a day falls in
+     * @param {string} dateKey - Date key (defaults to today)
+     * @returns {Object|null} Phase, or null outside the plan
+     */
+    getPhase(dateKey = StudyDay.today()) {
+        return this.plan.find(phase => dateKey >= phase.start && dateKey <= phase.end) || null;
+    },
+
+    /**
+     * Compare study done since the start date with the study the plan calls for
+     * @returns {Object|null} plannedMinutes, doneMinutes and planPercent (null without a plan)
+     */
+    getProgress() {
+        if (this.plan.length === 0) return null;
+
+        const plannedMinutes = this.plan.reduce((sum, phase) => sum + (phase.weeklyMinutes / 7) * phase.days, 0);
+        const doneMinutes = SessionLog.getMinutes({ from: this.startKey, to: this.testKey });
+
+        return {
+            plannedMinutes,
+            doneMinutes,
+            planPercent: plannedMinutes > 0 ? Math.min((doneMinutes / plannedMinutes) * 100, 100) : 0
+        };
+    },
+
+    /**
+     * Count what was done between two days
+     * @param {string} from - First date key
+     * @param {string} to - Last date key
+     * @returns {Object} minutes, questions and sections
+     */
+    getDone(from, to) {
+        const questions = Object.entries(Activity.log)
+            .filter(([key]) => key >= from && key <= to)
+            .reduce((sum, [, day]) => sum + day.questions, 0);
+        const sections = Storage.getSectionHistory()
+            .map(record => Storage.getDateKey(record.startedAt))
+            .filter(key => key >= from && key <= to).length;
+
+        return {
+            minutes: SessionLog.getMinutes({ from, to }),
+            questions,
+            sections
+        };
+    },
+
+    /**
+     * Build today's checklist from the current phase's targets
+     * Study days share each weekly target evenly; rest days get a day off instead
+     * @returns {Array} Tasks with id, text, done and auto (ticked from logged study)
+     */
+    getTodaysTasks() {
+        const today = StudyDay.today();
+        const phase = this.getPhase(today);
+        if (!phase) return [];
+
+        if (Streak.isRestDay(today)) {
+            return [{ id: 'rest', text: '😴 Rest day - recharge for tomorrow', done: true, auto: true }];
+        }
+
+        const studyDays = Math.max(7 - Streak.settings.restWeekdays.length, 1);
+        const minutes = Math.ceil(phase.weeklyMinutes / studyDays);
+        const questions = Math.ceil(phase.weeklyQuestions / studyDays);
+        const done = this.getDone(today, today);
+        const checked = Storage.getPlanChecks()[today] || [];
+
+        let focus = phase.focus;
+        if (phase.id === 'drilling') {
+            const overall = Stats.summarize(Stats.collectAttempts());
+            const weakest = Stats.getWeakestTypes(Stats.getTypeStats(), overall.accuracy);
+            if (weakest.length > 0) focus = `Drill your weakest question type untimed: ${weakest[0].label}`;
+        }
+
+        return [
+            {
+                id: 'minutes',
+                text: `Study for ${minutes} minutes (${SessionLog.formatMinutes(done.minutes)} so far)`,
+                done: done.minutes >= minutes,
+                auto: true
+            },
+            {
+                id: 'questions',
+                text: `Answer ${questions} questions (${done.questions} so far)`,
+                done: done.questions >= questions,
+                auto: true
+            },
+            phase.id === 'timed'
+                ? { id: 'focus', text: focus, done: done.sections > 0, auto: true }
+                : { id: 'focus', text: focus, done: checked.includes('focus'), auto: false }
+        ];
+    },
+
+    /**
+     * Tick or untick a task by hand
+     * @param {string} taskId - Task ID
+     * @param {boolean} done - True if done
+     */
+    setTaskDone(taskId, done) {
+        const today = StudyDay.today();
+        const checks = Storage.getPlanChecks();
+        const todays = (checks[today] || []).filter(id => id !== taskId);
+        if (done) todays.push(taskId);
+
+        // Only today's ticks matter, so older days are dropped
+        Storage.setPlanChecks({ [today]: todays });
+        this.renderChecklist();
+    },
+
+    /**
+     * Render the phase bar, current phase, weekly targets and checklist
+     */
+    render() {
+        this.renderPhases();
+        this.renderCurrent();
+        this.renderChecklist();
+    },
+
+    /**
+     * Render one segment per phase, sized by its length, with today marked
+     */
+    renderPhases() {
+        const bar = this.elements.phases;
+        const current = this.getPhase();
+        bar.innerHTML = '';
+
+        this.plan.forEach(phase => {
+            const segment = document.createElement('div');
+            segment.className = 'plan-phase';
+            segment.classList.toggle('current', phase === current);
+            segment.classList.toggle('past', phase.end < StudyDay.today());
+            segment.style.flexGrow = phase.days;
+            segment.title = `${phase.name}: ${this.formatDay(phase.start)} - ${this.formatDay(phase.end)} (${phase.days} days)`;
+            segment.textContent = `${phase.icon} ${phase.name}`;
+            bar.appendChild(segment);
+        });
+    },
+
+    /**
+     * Render the current phase and this week's targets against what's done
+     */
+    renderCurrent() {
+        const today = StudyDay.today();
+        const phase = this.getPhase(today);
+        this.elements.targets.innerHTML = '';
+
+        if (!this.testKey) {
+            this.elements.current.textContent = 'Add a test date to build a study plan';
+            return;
+        }
+        if (!phase) {
+            this.elements.current.textContent = today < this.startKey
+                ? `Your plan starts ${this.formatDay(this.startKey)}`
+                : 'Test day is here - the plan is complete! 🎉';
+            return;
+        }
+
+        const daysLeft = StudyDay.daysBetween(today, phase.end) + 1;
+        this.elements.current.textContent = `${phase.icon} ${phase.name} phase • ` +
+            `${daysLeft} day${daysLeft === 1 ? '' : 's'} left (until ${this.formatDay(phase.end)})`;
+
+        // Weekly targets count from Monday, or from the phase start if it began this week
+        const weekStart = Stats.getWeekKey(today);
+        const from = phase.start > weekStart ? phase.start : weekStart;
+        const done = this.getDone(from, today);
+
+        [
+            ['Minutes', done.minutes, phase.weeklyMinutes],
+            ['Questions', done.questions, phase.weeklyQuestions],
+            ['Practice sections', done.sections, phase.weeklySections]
+        ]
+            .filter(([, , target]) => target > 0)
+            .forEach(([label, value, target]) => {
+                const item = document.createElement('li');
+                item.className = 'plan-target';
+                item.classList.toggle('met', value >= target);
+                item.textContent = `${label}: ${Math.round(value)} / ${target} this week`;
+                this.elements.targets.appendChild(item);
+            });
+    },
+
+    /**
+     * Render today's checklist
+     */
+    renderChecklist() {
+        const list = this.elements.checklist;
+        list.innerHTML = '';
+
+        this.getTodaysTasks().forEach(task => {
+            const item = document.createElement('li');
+            item.className = 'plan-task';
+            item.classList.toggle('done', task.done);
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = task.done;
+            checkbox.disabled = task.auto;
+            checkbox.title = task.auto ? 'Ticks itself from your logged study' : '';
+            checkbox.addEventListener('change', () => this.setTaskDone(task.id, checkbox.checked));
+
+            label.append(checkbox, ` ${task.text}`);
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+    },
+
+    /**
+     * Format a date key for display
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {string} e.g. "Oct 19"
+     */
+    formatDay(dateKey) {
+        return StudyDay.parseKey(dateKey).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    }
+};
@@ -6,43 +6,114 @@
 const Questions = {
     // DOM elements
     elements: {
+        bookmarkBtn: null,
+        flagBtn: null,
+        passagePanel: null,
+        passageTitle: null,
+        passageText: null,
+        passageTabs: null,
         questionType: null,
         questionText: null,
+        choicesList: null,
+        confidencePicker: null,
+        blindNotice: null,
         answerSection: null,
+        answerResult: null,
         answerText: null,
         explanationText: null,
+        submitAnswerBtn: null,
         showAnswerBtn: null,
         hideAnswerBtn: null,
         prevBtn: null,
         nextBtn: null,
-        questionDate: null
+        questionDate: null,
+        reviewStatus: null,
+        startReviewBtn: null,
+        startBlindReviewBtn: null,
+        exitReviewBtn: null
     },
 
     // Question data
     allQuestions: [],
+    passages: {},
     currentQuestionIndex: 0,
     currentQuestion: null,
 
+    // Answer state for the displayed question
+    selectedChoice: null,
+    selectedConfidence: null,
+    isSubmitted: false,
+    isRevealed: false,
+    shownAt: null, // When the current question was displayed (ms)
+
+    // Answer state for each question of the open passage, keyed by question ID
+    passageAnswers: {},
+    renderedPassageId: null,
+
+    // Characters per printed passage line
+    PASSAGE_LINE_LENGTH: 64,
+
+    // Review queue state (question IDs from the scheduler or blind review)
+    reviewQueue: [],
+    reviewPosition: 0,
+    isReviewing: false,
+    reviewKind: 'spaced', // 'spaced' or 'blind'
+
+    // Letters used to label multiple-choice answers
+    CHOICE_LETTERS: ['A', 'B', 'C', 'D', 'E'],
+
+    // Display labels for each question type
+    TYPE_LABELS: {
+        'logic_puzzle': '🧩 Logic Puzzle',
+        'logical_reasoning': '💭 Logical Reasoning',
+        'reading_comp': '📖 Reading Comprehension',
+        'analytical_reasoning': '🎯 Analytical Reasoning',
+        'riddle': '🤔 Riddle',
+        'argument': '⚖️ Argument Analysis'
+    },
+
     /**
      * Initialize questions system
      * @param {Array} questions - Array of question objects from config
+     * @param {Array} passages - Array of reading passages from config
      */
-    init(questions) {
+    init(questions, passages) {
         // Store questions
         this.allQuestions = questions || [];
         console.log('Questions.init called with', this.allQuestions.length, 'questions');
 
+        // Index passages by ID
+        this.passages = {};
+        (passages || []).forEach(passage => {
+            this.passages[passage.id] = passage;
+        });
+
         // Cache DOM elements
+        this.elements.bookmarkBtn = document.getElementById('bookmarkQuestion');
+        this.elements.flagBtn = document.getElementById('flagQuestion');
+        this.elements.passagePanel = document.getElementById('passagePanel');
+        this.elements.passageTitle = document.getElementById('passageTitle');
+        this.elements.passageText = document.getElementById('passageText');
+        this.elements.passageTabs = document.getElementById('passageTabs');
         this.elements.questionType = document.getElementById('questionType');
         this.elements.questionText = document.getElementById('questionText');
+        this.elements.choicesList = document.getElementById('questionChoices');
+        this.elements.confidencePicker = document.getElementById('confidencePicker');
+        this.elements.blindNotice = document.getElementById('blindNotice');
         this.elements.answerSection = document.getElementById('answerSection');
+        this.elements.answerResult = document.getElementById('answerResult');
         this.elements.answerText = document.getElementById('answerText');
         this.elements.explanationText = document.getElementById('explanationText');
+        this.elements.submitAnswerBtn = document.getElementById('submitAnswer');
         this.elements.showAnswerBtn = document.getElementById('showAnswer');
         this.elements.hideAnswerBtn = document.getElementById('hideAnswer');
         this.elements.prevBtn = document.getElementById('prevQuestion');
         this.elements.nextBtn = document.getElementById('nextQuestion');
         this.elements.questionDate = document.getElementById('questionDate');
+        this.elements.reviewStatus = document.getElementById('reviewStatus');
+        this.elements.startReviewBtn = document.getElementById('startReview');
+        this.elements.startBlindReviewBtn = document.getElementById('startBlindReview');
+        this.elements.exitReviewBtn = document.getElementById('exitReview');
 
         // Set up event listeners
         this.setupEventListeners();
@@ -55,10 +126,24 @@ const Questions = {
      * Set up event listeners
      */
     setupEventListeners() {
+        this.elements.submitAnswerBtn.addEventListener('click', () => this.submitAnswer());
         this.elements.showAnswerBtn.addEventListener('click', () => this.showAnswer());
         this.elements.hideAnswerBtn.addEventListener('click', () => this.hideAnswer());
         this.elements.prevBtn.addEventListener('click', () => this.navigateQuestion(-1));
         this.elements.nextBtn.addEventListener('click', () => this.navigateQuestion(1));
+        this.elements.startReviewBtn.addEventListener('click', () => this.startReview());
+        this.elements.bookmarkBtn.addEventListener('click', () => this.toggleMark('bookmarked'));
+        this.elements.flagBtn.addEventListener('click', () => this.toggleMark('flagged'));
+        this.elements.confidencePicker.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-confidence]');
+            if (button) this.selectConfidence(button.dataset.confidence);
+        });
+
+        // Marks can also change from the question bank list
+        document.addEventListener('bookmarksChanged', () => {
+            if (this.currentQuestion) this.updateMarks();
+        });
+        this.elements.exitReviewBtn.addEventListener('click', () => this.exitReview());
     },
 
     /**
@@ -73,7 +158,7 @@ const Questions = {
             return;
         }
 
-        // Get today's question index using date-based hash
+        // Get today's question index from the review scheduler
         this.currentQuestionIndex = this.getDailyQuestionIndex();
         console.log('Today\'s question index:', this.currentQuestionIndex);
 
@@ -82,17 +167,23 @@ const Questions = {
     },
 
     /**
-     * Get question index for today using date-based hash
+     * Get question index for today's challenge
      * @returns {number} Question index
      */
     getDailyQuestionIndex() {
-        // Use days since epoch as seed for consistent daily questions
-        const today = new Date();
-        const epochStart = new Date(2024, 0, 1); // January 1, 2024
-        const daysSinceEpoch = Math.floor((today - epochStart) / (1000 * 60 * 60 * 24));
+        // The scheduler stores its pick, so it stays the same all day
+        const pick = Scheduler.getDailyPick(this.allQuestions);
+        const index = this.getQuestionIndex(pick.questionId);
+        return index >= 0 ? index : 0;
+    },
 
-        // Use modulo to cycle through questions
-        return daysSinceEpoch % this.allQuestions.length;
+    /**
+     * Find a question's index by ID
+     * @param {number|string} questionId - Question ID
+     * @returns {number} Question index, or -1 if not found
+     */
+    getQuestionIndex(questionId) {
+        return this.allQuestions.findIndex(q => String(q.id) === String(questionId));
     },
 
     /**
@@ -105,57 +196,582 @@ const Questions = {
             return;
         }
 
+        const previous = this.currentQuestion;
         this.currentQuestionIndex = index;
         this.currentQuestion = this.allQuestions[index];
 
+        // Keep our place when moving between questions of the same passage
+        if (previous && previous.passageId) {
+            this.passageAnswers[previous.id] = {
+                selectedChoice: this.selectedChoice,
+                isSubmitted: this.isSubmitted
+            };
+        }
+        if (!previous || previous.passageId !== this.currentQuestion.passageId) {
+            this.passageAnswers = {};
+        }
+
+        const passage = this.getPassage(this.currentQuestion);
+        const saved = passage ? this.passageAnswers[this.currentQuestion.id] : null;
+
         // Update question display
-        this.elements.questionType.textContent = this.formatQuestionType(this.currentQuestion.type);
+        this.elements.questionType.textContent =
+            this.formatQuestionType(this.currentQuestion.type, this.currentQuestion);
         this.elements.questionText.textContent = this.currentQuestion.question;
 
         // Update answer section
-        this.elements.answerText.textContent = this.currentQuestion.answer;
+        this.elements.answerText.textContent = this.getAnswerText(this.currentQuestion);
         this.elements.explanationText.textContent = this.currentQuestion.explanation;
 
-        // Hide answer section by default
+        // Start timing this question
+        this.shownAt = Date.now();
+
+        // Restore (or reset) answer state and render choices (if any)
+        this.selectedChoice = saved ? saved.selectedChoice : null;
+        this.isSubmitted = saved ? saved.isSubmitted : false;
+        this.selectedConfidence = null;
+
+        // Picks held for blind review stay locked until the blind pass re-opens them
+        const held = BlindReview.getPending(this.currentQuestion.id);
+        if (held) {
+            this.selectedChoice = held.choice;
+            this.isSubmitted = !this.isBlindPass();
+        }
+
+        // Draw the passage once the tab strip can show this question's state
+        this.renderPassage(passage);
+        this.renderChoices();
+        this.renderConfidence();
+
+        // Hide answer section by default, unless it was already answered in this passage
         this.hideAnswer();
+        if (this.isHeld()) {
+            this.renderHeldChoices();
+        } else if (this.isSubmitted) {
+            this.renderGradedChoices();
+            this.showAnswer();
+        }
+        this.renderBlindNotice();
 
-        // Update navigation
+        // Update navigation and marks
         this.updateNavigation();
+        this.updateMarks();
+
+        document.dispatchEvent(new CustomEvent('questionDisplayed', {
+            detail: { questionId: this.currentQuestion.id }
+        }));
+    },
+
+    /**
+     * Toggle a bookmark or review flag on the current question
+     * @param {string} kind - 'bookmarked' or 'flagged'
+     */
+    toggleMark(kind) {
+        if (!this.currentQuestion) return;
+
+        Storage.toggleBookmark(this.currentQuestion.id, kind);
+        this.updateMarks();
+
+        document.dispatchEvent(new CustomEvent('bookmarksChanged', {
+            detail: { questionId: this.currentQuestion.id }
+        }));
+    },
+
+    /**
+     * Update bookmark and flag buttons for the current question
+     */
+    updateMarks() {
+        const id = this.currentQuestion.id;
+        const bookmarked = Storage.isBookmarked(id, 'bookmarked');
+        const flagged = Storage.isBookmarked(id, 'flagged');
+
+        this.elements.bookmarkBtn.textContent = bookmarked ? '★ Bookmarked' : '☆ Bookmark';
+        this.elements.bookmarkBtn.classList.toggle('active', bookmarked);
+        this.elements.flagBtn.textContent = flagged ? '⚑ Flagged' : '⚐ Flag for review';
+        this.elements.flagBtn.classList.toggle('active', flagged);
+    },
+
+    /**
+     * Get a question's answer status from its stored history
+     * @param {number|string} questionId - Question ID
+     * @returns {string} 'unanswered', 'answered' or 'missed' (last graded attempt was wrong)
+     */
+    getQuestionStatus(questionId) {
+        const record = Storage.getQuestionRecord(questionId);
+        if (!record) return 'unanswered';
+
+        // Don't give away the result before the blind pass
+        if (BlindReview.isPending(questionId)) return 'answered';
+
+        const graded = record.attempts.filter(attempt => attempt.correct !== null);
+        const last = graded[graded.length - 1];
+
+        return last && last.correct === false ? 'missed' : 'answered';
+    },
+
+    /**
+     * Check if the displayed question is today's challenge
+     * @returns {boolean} True if showing today's pick outside a review
+     */
+    isTodaysChallenge() {
+        return !this.isReviewing &&
+            this.currentQuestionIndex === this.getDailyQuestionIndex();
+    },
+
+    /**
+     * Announce that a question was answered so other views can refresh
+     * @param {number|string} questionId - Question ID
+     * @param {boolean|null} correct - Graded result, or null if ungraded
+     */
+    notifyAnswered(questionId, correct) {
+        document.dispatchEvent(new CustomEvent('questionAnswered', {
+            detail: { questionId, correct }
+        }));
+    },
+
+    /**
+     * Check if a question has answer choices
+     * @param {Object} question - Question object
+     * @returns {boolean} True if the question is multiple choice
+     */
+    isMultipleChoice(question) {
+        return !!question && Array.isArray(question.choices) && question.choices.length > 0;
+    },
+
+    /**
+     * Get the answer text to reveal for a question
+     * @param {Object} question - Question object
+     * @returns {string} Answer text
+     */
+    getAnswerText(question) {
+        if (!this.isMultipleChoice(question)) {
+            return question.answer;
+        }
+
+        const index = this.CHOICE_LETTERS.indexOf(question.correctChoice);
+        return `(${question.correctChoice}) ${question.choices[index]}`;
+    },
+
+    /**
+     * Render answer choices for the current question
+     */
+    renderChoices() {
+        const list = this.elements.choicesList;
+        list.innerHTML = '';
 
-        // Check if question was already answered
-        if (Storage.isQuestionAnswered(this.currentQuestion.id)) {
-            // Could add visual indicator here
+        if (!this.isMultipleChoice(this.currentQuestion)) {
+            list.classList.add('hidden');
+            return;
+        }
+
+        this.currentQuestion.choices.forEach((text, index) => {
+            const letter = this.CHOICE_LETTERS[index];
+            const button = this.createChoiceButton(letter, text);
+            button.classList.toggle('selected', letter === this.selectedChoice);
+            button.addEventListener('click', () => this.selectChoice(letter));
+            list.appendChild(button);
+        });
+
+        list.classList.remove('hidden');
+    },
+
+    /**
+     * Create a labelled answer choice button
+     * @param {string} letter - Choice letter
+     * @param {string} text - Choice text
+     * @returns {HTMLButtonElement} Choice button
+     */
+    createChoiceButton(letter, text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'choice';
+        button.dataset.choice = letter;
+
+        const letterEl = document.createElement('span');
+        letterEl.className = 'choice-letter';
+        letterEl.textContent = letter;
+
+        const textEl = document.createElement('span');
+        textEl.className = 'choice-text';
+        textEl.textContent = text;
+
+        button.appendChild(letterEl);
+        button.appendChild(textEl);
+
+        return button;
+    },
+
+    /**
+     * Select an answer choice
+     * @param {string} letter - Choice letter
+     */
+    selectChoice(letter) {
+        if (this.isSubmitted || !this.isMultipleChoice(this.currentQuestion)) return;
+
+        this.selectedChoice = letter;
+
+        this.elements.choicesList.querySelectorAll('.choice').forEach(button => {
+            button.classList.toggle('selected', button.dataset.choice === letter);
+        });
+
+        if (this.getPassage(this.currentQuestion)) {
+            this.renderPassageTabs(this.getPassage(this.currentQuestion));
         }
+
+        this.updateControls();
+    },
+
+    /**
+     * Tag how confident you are in the selected choice
+     * @param {string} level - Confidence level key
+     */
+    selectConfidence(level) {
+        if (this.isSubmitted) return;
+
+        this.selectedConfidence = this.selectedConfidence === level ? null : level;
+        this.renderConfidence();
+        this.updateControls();
+    },
+
+    /**
+     * Render the confidence picker for the current answer state
+     */
+    renderConfidence() {
+        this.elements.confidencePicker.querySelectorAll('[data-confidence]').forEach(button => {
+            button.classList.toggle('active', button.dataset.confidence === this.selectedConfidence);
+        });
+    },
+
+    /**
+     * Grade the selected choice and record the attempt
+     */
+    submitAnswer() {
+        if (this.isSubmitted || !this.selectedChoice) return;
+        if (!this.isMultipleChoice(this.currentQuestion)) return;
+
+        const question = this.currentQuestion;
+        const correct = this.selectedChoice === question.correctChoice;
+
+        if (this.isBlindPass()) {
+            this.submitBlindAnswer(correct);
+            return;
+        }
+
+        const hold = BlindReview.isEnabled() &&
+            BlindReview.shouldHold(question.id, this.selectedConfidence);
+
+        this.isSubmitted = true;
+        Storage.recordAnswer(question.id, this.selectedChoice, correct, {
+            source: 'daily',
+            challenge: this.isTodaysChallenge(),
+            timeSpent: this.getSecondsOnQuestion(),
+            confidence: this.selectedConfidence
+        });
+        Scheduler.review(question.id, correct);
+        if (hold) {
+            BlindReview.hold(question.id, this.selectedChoice, correct, this.selectedConfidence);
+        }
+        this.updateReviewStatus();
+        this.notifyAnswered(question.id, correct);
+
+        if (hold) {
+            this.renderHeldChoices();
+        } else {
+            this.renderGradedChoices();
+            this.showAnswer();
+        }
+        this.renderBlindNotice();
+
+        if (this.getPassage(question)) {
+            this.renderPassageTabs(this.getPassage(question));
+        }
+    },
+
+    /**
+     * Grade a blind-pass answer and compare it with the first pass
+     * @param {boolean} correct - Whether the blind pick was right
+     */
+    submitBlindAnswer(correct) {
+        const question = this.currentQuestion;
+        const first = BlindReview.getPending(question.id);
+
+        this.isSubmitted = true;
+        Storage.recordAnswer(question.id, this.selectedChoice, correct, {
+            source: 'blind_review',
+            phase: 'blind',
+            timeSpent: this.getSecondsOnQuestion()
+        });
+        BlindReview.complete(question.id, this.selectedChoice, correct);
+        this.updateReviewStatus();
+        this.notifyAnswered(question.id, correct);
+
+        this.renderGradedChoices();
+        this.elements.answerResult.textContent =
+            `First pass: (${first.choice}) ${first.correct ? '✅' : '❌'} • ` +
+            `Blind review: (${this.selectedChoice}) ${correct ? '✅' : '❌'}`;
+        this.renderBlindNotice();
+        this.showAnswer();
+
+        if (this.getPassage(question)) {
+            this.renderPassageTabs(this.getPassage(question));
+        }
+    },
+
+    /**
+     * Check if the current question is being re-answered in the blind pass
+     * @returns {boolean} True during the blind pass for a held question
+     */
+    isBlindPass() {
+        return this.isReviewing && this.reviewKind === 'blind' &&
+            BlindReview.isPending(this.currentQuestion.id);
+    },
+
+    /**
+     * Check if the current question's answer key is held back
+     * @returns {boolean} True if held for blind review and not in the blind pass
+     */
+    isHeld() {
+        return BlindReview.isPending(this.currentQuestion.id) && !this.isBlindPass();
+    },
+
+    /**
+     * Lock a held pick without revealing whether it was right
+     */
+    renderHeldChoices() {
+        this.elements.choicesList.querySelectorAll('.choice').forEach(button => {
+            button.disabled = true;
+        });
+        this.elements.answerResult.classList.add('hidden');
+        this.updateControls();
+    },
+
+    /**
+     * Explain the blind review state of the current question
+     */
+    renderBlindNotice() {
+        const held = BlindReview.getPending(this.currentQuestion.id);
+        let text = '';
+
+        if (held && this.isBlindPass()) {
+            const confidence = BlindReview.CONFIDENCE_LEVELS[held.confidence] || 'Untagged';
+            text = `🙈 Blind review: you first picked (${held.choice}) — ${confidence}. ` +
+                'Keep it or change it, then submit.';
+        } else if (held) {
+            text = '🙈 Held for blind review. The key stays hidden until your blind pass.';
+        }
+
+        this.elements.blindNotice.textContent = text;
+        this.elements.blindNotice.classList.toggle('hidden', !text);
+    },
+
+    /**
+     * Lock the choices and show whether the submitted pick was right
+     */
+    renderGradedChoices() {
+        const question = this.currentQuestion;
+        if (!this.isMultipleChoice(question)) return;
+
+        const correct = this.selectedChoice === question.correctChoice;
+
+        // Lock choices and mark the result
+        this.elements.choicesList.querySelectorAll('.choice').forEach(button => {
+            button.disabled = true;
+            if (button.dataset.choice === question.correctChoice) {
+                button.classList.add('correct');
+            } else if (button.dataset.choice === this.selectedChoice) {
+                button.classList.add('incorrect');
+            }
+        });
+
+        this.elements.answerResult.textContent = correct
+            ? '✅ Correct!'
+            : `❌ Not quite. You picked (${this.selectedChoice}).`;
+        this.elements.answerResult.classList.toggle('correct', correct);
+        this.elements.answerResult.classList.toggle('incorrect', !correct);
+        this.elements.answerResult.classList.remove('hidden');
+    },
+
+    /**
+     * Get seconds spent on the current question since it was displayed
+     * @returns {number} Whole seconds
+     */
+    getSecondsOnQuestion() {
+        return Math.round((Date.now() - this.shownAt) / 1000);
+    },
+
+    /**
+     * Get the reading passage a question belongs to
+     * @param {Object} question - Question object
+     * @returns {Object|null} Passage object, or null for standalone questions
+     */
+    getPassage(question) {
+        if (!question || !question.passageId) return null;
+        return this.passages[question.passageId] || null;
+    },
+
+    /**
+     * Get all questions that share a passage, in bank order
+     * @param {string} passageId - Passage ID
+     * @returns {Array} Question objects
+     */
+    getPassageQuestions(passageId) {
+        return this.allQuestions.filter(q => q.passageId === passageId);
+    },
+
+    /**
+     * Render the passage panel for the current question
+     * @param {Object|null} passage - Passage object
+     */
+    renderPassage(passage) {
+        if (!passage) {
+            this.elements.passagePanel.classList.add('hidden');
+            this.renderedPassageId = null;
+            return;
+        }
+
+        // Only redraw the stimulus when the passage changes, so scroll position is kept
+        if (this.renderedPassageId !== passage.id) {
+            this.elements.passageTitle.textContent = passage.title || 'Passage';
+            this.elements.passageText.innerHTML = '';
+            this.elements.passageText.appendChild(this.buildPassageLines(passage));
+            this.elements.passageText.scrollTop = 0;
+            this.renderedPassageId = passage.id;
+        }
+
+        this.elements.passagePanel.classList.remove('hidden');
+        this.renderPassageTabs(passage);
+    },
+
+    /**
+     * Render tabs for moving between a passage's questions
+     * @param {Object} passage - Passage object
+     */
+    renderPassageTabs(passage) {
+        const tabs = this.elements.passageTabs;
+        tabs.innerHTML = '';
+
+        this.getPassageQuestions(passage.id).forEach((question, position) => {
+            const saved = this.passageAnswers[question.id];
+            const isCurrent = question.id === this.currentQuestion.id;
+            const isAnswered = isCurrent ? this.isSubmitted : !!(saved && saved.isSubmitted);
+            const hasPick = isCurrent ? !!this.selectedChoice : !!(saved && saved.selectedChoice);
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'palette-item';
+            button.textContent = position + 1;
+            button.classList.toggle('current', isCurrent);
+            button.classList.toggle('answered', isAnswered || hasPick);
+            button.addEventListener('click', () => {
+                this.displayQuestion(this.getQuestionIndex(question.id));
+            });
+            tabs.appendChild(button);
+        });
+    },
+
+    /**
+     * Build the line-numbered stimulus for a passage
+     * @param {Object} passage - Passage object with paragraphs separated by blank lines
+     * @returns {DocumentFragment} Passage lines
+     */
+    buildPassageLines(passage) {
+        const fragment = document.createDocumentFragment();
+
+        this.wrapPassage(passage.text).forEach((line, index) => {
+            const lineNumber = index + 1;
+            const row = document.createElement('div');
+            row.className = 'passage-line';
+
+            const numberEl = document.createElement('span');
+            numberEl.className = 'passage-line-number';
+            numberEl.textContent = lineNumber % 5 === 0 ? lineNumber : '';
+
+            const textEl = document.createElement('span');
+            textEl.className = 'passage-line-text';
+            textEl.classList.toggle('indent', line.indent);
+            textEl.textContent = line.text;
+
+            row.appendChild(numberEl);
+            row.appendChild(textEl);
+            fragment.appendChild(row);
+        });
+
+        return fragment;
+    },
+
+    /**
+     * Wrap passage text into fixed-width lines so line numbers stay stable
+     * @param {string} text - Passage text
+     * @returns {Array} Lines as { text, indent } objects
+     */
+    wrapPassage(text) {
+        const lines = [];
+
+        text.split(/\n\s*\n/).forEach(paragraph => {
+            const words = paragraph.trim().split(/\s+/);
+            let current = '';
+            let isFirstLine = true;
+
+            words.forEach(word => {
+                if (current && (current.length + word.length + 1) > this.PASSAGE_LINE_LENGTH) {
+                    lines.push({ text: current, indent: isFirstLine });
+                    current = word;
+                    isFirstLine = false;
+                } else {
+                    current = current ? `${current} ${word}` : word;
+                }
+            });
+
+            if (current) {
+                lines.push({ text: current, indent: isFirstLine });
+            }
+        });
+
+        return lines;
     },
 
     /**
      * Format question type for display
      * @param {string} type - Question type
+     * @param {Object} question - Optional question, to show its place in a passage set
      * @returns {string} Formatted type
      */
-    formatQuestionType(type) {
-        const typeMap = {
-            'logic_puzzle': '🧩 Logic Puzzle',
-            'logical_reasoning': '💭 Logical Reasoning',
-            'reading_comp': '📖 Reading Comprehension',
-            'analytical_reasoning': '🎯 Analytical Reasoning',
-            'riddle': '🤔 Riddle',
-            'argument': '⚖️ Argument Analysis'
-        };
+    formatQuestionType(type, question = null) {
+        const label = this.TYPE_LABELS[type] || '📝 Question';
 
-        return typeMap[type] || '📝 Question';
+        if (question && this.getPassage(question)) {
+            const set = this.getPassageQuestions(question.passageId);
+            const position = set.findIndex(q => q.id === question.id) + 1;
+            return `${label} · ${position} of ${set.length}`;
+        }
+
+        return label;
     },
 
     /**
      * Show answer section
      */
     showAnswer() {
+        // Multiple-choice answers stay hidden until a pick is submitted (and blind-reviewed)
+        if (this.isMultipleChoice(this.currentQuestion) && !this.isSubmitted) return;
+        if (this.isHeld()) return;
+
         this.elements.answerSection.classList.remove('hidden');
-        this.elements.showAnswerBtn.classList.add('hidden');
-        this.elements.hideAnswerBtn.classList.remove('hidden');
+        this.isRevealed = true;
+        this.updateControls();
 
-        // Mark question as answered
-        Storage.markQuestionAnswered(this.currentQuestion.id);
+        // Free-text questions count as answered once revealed
+        if (!this.isMultipleChoice(this.currentQuestion) && !this.isSubmitted) {
+            this.isSubmitted = true;
+            Storage.recordAnswer(this.currentQuestion.id, null, null, {
+                source: 'daily',
+                challenge: this.isTodaysChallenge(),
+                timeSpent: this.getSecondsOnQuestion()
+            });
+            Scheduler.review(this.currentQuestion.id, null);
+            this.updateReviewStatus();
+            this.notifyAnswered(this.currentQuestion.id, null);
+        }
     },
 
     /**
@@ -163,8 +779,30 @@ const Questions = {
      */
     hideAnswer() {
         this.elements.answerSection.classList.add('hidden');
-        this.elements.showAnswerBtn.classList.remove('hidden');
-        this.elements.hideAnswerBtn.classList.add('hidden');
+        this.isRevealed = false;
+
+        if (!this.isSubmitted) {
+            this.elements.answerResult.classList.add('hidden');
+        }
+
+        this.updateControls();
+    },
+
+    /**
+     * Update submit/show/hide button visibility for the current answer state
+     */
+    updateControls() {
+        const awaitingSubmit = this.isMultipleChoice(this.currentQuestion) && !this.isSubmitted;
+        const blindPass = this.isBlindPass();
+        const needsConfidence = BlindReview.isEnabled() && !blindPass;
+        const held = this.isHeld();
+
+        this.elements.confidencePicker.classList.toggle('hidden', !awaitingSubmit || blindPass);
+        this.elements.submitAnswerBtn.classList.toggle('hidden', !awaitingSubmit);
+        this.elements.submitAnswerBtn.disabled = !this.selectedChoice ||
+            (needsConfidence && !this.selectedConfidence);
+        this.elements.showAnswerBtn.classList.toggle('hidden', awaitingSubmit || held || this.isRevealed);
+        this.elements.hideAnswerBtn.classList.toggle('hidden', awaitingSubmit || held || !this.isRevealed);
     },
 
     /**
@@ -172,6 +810,15 @@ const Questions = {
      * @param {number} direction - -1 for previous, 1 for next
      */
     navigateQuestion(direction) {
+        if (this.isReviewing) {
+            const newPosition = this.reviewPosition + direction;
+            if (newPosition >= 0 && newPosition < this.reviewQueue.length) {
+                this.reviewPosition = newPosition;
+                this.displayQuestion(this.getQuestionIndex(this.reviewQueue[newPosition]));
+            }
+            return;
+        }
+
         const newIndex = this.currentQuestionIndex + direction;
 
         if (newIndex >= 0 && newIndex < this.allQuestions.length) {
@@ -179,21 +826,64 @@ const Questions = {
         }
     },
 
+    /**
+     * Start working through today's review queue
+     */
+    startReview() {
+        this.reviewQueue = Scheduler.getReviewQueue(this.allQuestions)
+            .filter(id => this.getQuestionIndex(id) >= 0);
+
+        if (this.reviewQueue.length === 0) return;
+
+        this.isReviewing = true;
+        this.reviewKind = 'spaced';
+        this.reviewPosition = 0;
+        this.displayQuestion(this.getQuestionIndex(this.reviewQueue[0]));
+    },
+
+    /**
+     * Start the blind pass over every held question
+     */
+    startBlindReview() {
+        this.reviewQueue = BlindReview.getPendingIds()
+            .filter(id => this.getQuestionIndex(id) >= 0);
+
+        if (this.reviewQueue.length === 0) return;
+
+        this.isReviewing = true;
+        this.reviewKind = 'blind';
+        this.reviewPosition = 0;
+        this.displayQuestion(this.getQuestionIndex(this.reviewQueue[0]));
+    },
+
+    /**
+     * Leave the review queue and return to today's challenge
+     */
+    exitReview() {
+        this.isReviewing = false;
+        this.reviewKind = 'spaced';
+        this.reviewQueue = [];
+        this.goToToday();
+    },
+
     /**
      * Update navigation button states and date display
      */
     updateNavigation() {
         // Update button states
-        this.elements.prevBtn.disabled = this.currentQuestionIndex === 0;
-        this.elements.nextBtn.disabled = this.currentQuestionIndex === this.allQuestions.length - 1;
+        if (this.isReviewing) {
+            this.elements.prevBtn.disabled = this.reviewPosition === 0;
+            this.elements.nextBtn.disabled = this.reviewPosition === this.reviewQueue.length - 1;
+        } else {
+            this.elements.prevBtn.disabled = this.currentQuestionIndex === 0;
+            this.elements.nextBtn.disabled = this.currentQuestionIndex === this.allQuestions.length - 1;
+        }
 
-        // Calculate and display question date
-        const questionDate = this.getQuestionDate(this.currentQuestionIndex);
-        this.elements.questionDate.textContent = this.formatDate(questionDate);
+        // Describe where this question sits in the schedule
+        this.elements.questionDate.textContent = this.getScheduleLabel(this.currentQuestion);
 
         // Highlight if this is today's question
-        const isToday = this.currentQuestionIndex === this.getDailyQuestionIndex();
-        if (isToday) {
+        if (this.isTodaysChallenge()) {
             this.elements.questionDate.textContent = 'Today\'s Challenge';
             this.elements.questionDate.style.fontWeight = 'bold';
             this.elements.questionDate.style.color = 'var(--primary-color)';
@@ -201,22 +891,55 @@ const Questions = {
             this.elements.questionDate.style.fontWeight = 'normal';
             this.elements.questionDate.style.color = 'var(--text-secondary)';
         }
+
+        this.updateReviewStatus();
     },
 
     /**
-     * Get date for a question index
-     * @param {number} index - Question index
-     * @returns {Date} Date object
+     * Get a short label describing a question's schedule
+     * @param {Object} question - Question object
+     * @returns {string} Label text
      */
-    getQuestionDate(index) {
-        const epochStart = new Date(2024, 0, 1);
-        const todayIndex = this.getDailyQuestionIndex();
-        const daysDifference = index - todayIndex;
+    getScheduleLabel(question) {
+        if (this.isReviewing) {
+            const label = this.reviewKind === 'blind' ? 'Blind review' : 'Review';
+            return `${label} ${this.reviewPosition + 1} of ${this.reviewQueue.length}`;
+        }
+
+        const card = Scheduler.getCard(question.id);
+        if (!card || !card.due) {
+            return Storage.isQuestionAnswered(question.id) ? 'Answered' : 'New question';
+        }
+
+        const [year, month, day] = card.due.split('-').map(Number);
+        return `Next review: ${this.formatDate(new Date(year, month - 1, day))}`;
+    },
+
+    /**
+     * Update the review queue banner
+     */
+    updateReviewStatus() {
+        const remaining = Scheduler.getReviewQueue(this.allQuestions).length;
+        const held = BlindReview.getPendingIds().filter(id => this.getQuestionIndex(id) >= 0).length;
 
-        const date = new Date();
-        date.setDate(date.getDate() + daysDifference);
+        this.elements.startBlindReviewBtn.textContent = `Blind Review (${held})`;
+        this.elements.startBlindReviewBtn.classList.toggle('hidden', this.isReviewing || held === 0);
 
-        return date;
+        if (this.isReviewing && this.reviewKind === 'blind') {
+            this.elements.reviewStatus.textContent = `🙈 Blind review • ${held} left`;
+            this.elements.startReviewBtn.classList.add('hidden');
+            this.elements.exitReviewBtn.classList.remove('hidden');
+        } else if (this.isReviewing) {
+            this.elements.reviewStatus.textContent = `🔁 Reviewing • ${remaining} left today`;
+            this.elements.startReviewBtn.classList.add('hidden');
+            this.elements.exitReviewBtn.classList.remove('hidden');
+        } else {
+            this.elements.reviewStatus.textContent = remaining > 0
+                ? `🔁 ${remaining} question${remaining === 1 ? '' : 's'} due for review`
+                : '✅ No reviews due today';
+            this.elements.startReviewBtn.classList.toggle('hidden', remaining === 0);
+            this.elements.exitReviewBtn.classList.add('hidden');
+        }
     },
 
     /**
@@ -225,17 +948,13 @@ const Questions = {
      * @returns {string} Formatted date
      */
     formatDate(date) {
-        const today = new Date();
-        const yesterday = new Date(today);
-        yesterday.setDate(yesterday.getDate() - 1);
-        const tomorrow = new Date(today);
-        tomorrow.setDate(tomorrow.getDate() + 1);
+        const days = StudyDay.daysBetween(StudyDay.today(), StudyDay.formatKey(date));
 
-        if (date.toDateString() === today.toDateString()) {
+        if (days === 0) {
             return 'Today';
-        } else if (date.toDateString() === yesterday.toDateString()) {
+        } else if (days === -1) {
             return 'Yesterday';
-        } else if (date.toDateString() === tomorrow.toDateString()) {
+        } else if (days === 1) {
             return 'Tomorrow';
         } else {
             return date.toLocaleDateString('en-US', {
@@ -253,6 +972,12 @@ const Questions = {
         this.elements.questionType.textContent = '';
         this.elements.questionText.textContent =
             'No questions available yet. Check back soon!';
+        this.elements.passagePanel.classList.add('hidden');
+        this.elements.choicesList.classList.add('hidden');
+        this.elements.submitAnswerBtn.classList.add('hidden');
+        this.elements.startReviewBtn.classList.add('hidden');
+        this.elements.bookmarkBtn.disabled = true;
+        this.elements.flagBtn.disabled = true;
         this.elements.showAnswerBtn.disabled = true;
         this.elements.prevBtn.disabled = true;
         this.elements.nextBtn.disabled = true;
@@ -269,10 +994,23 @@ const Questions = {
         return this.allQuestions[randomIndex];
     },
 
+    /**
+     * Jump to a question by ID
+     * @param {number|string} questionId - Question ID
+     */
+    goToQuestion(questionId) {
+        const index = this.getQuestionIndex(questionId);
+        if (index < 0) return;
+
+        this.isReviewing = false;
+        this.displayQuestion(index);
+    },
+
     /**
      * Jump to today's question
      */
     goToToday() {
+        this.isReviewing = false;
         const todayIndex = this.getDailyQuestionIndex();
         this.displayQuestion(todayIndex);
     },
@@ -286,6 +1024,34 @@ const Questions = {
         return Object.keys(answered).length;
     },
 
+    /**
+     * Get accuracy across all graded (multiple-choice) attempts
+     * Questions waiting for their blind pass don't count until the pass is done
+     * @returns {Object} Graded attempt count, correct count and percentage
+     */
+    getAccuracy() {
+        const answered = Storage.getAnsweredQuestions();
+        let graded = 0;
+        let correct = 0;
+
+        Object.keys(answered).forEach(questionId => {
+            if (BlindReview.isPending(questionId)) return; // Result still hidden
+
+            answered[questionId].attempts.forEach(attempt => {
+                // Blind-pass answers are compared separately
+                if (attempt.correct === null || attempt.phase === 'blind') return;
+                graded++;
+                if (attempt.correct) correct++;
+            });
+        });
+
+        return {
+            graded,
+            correct,
+            percentage: graded > 0 ? Math.round((correct / graded) * 100) : 0
+        };
+    },
+
     /**
      * Get total questions count
      * @returns {number} Total number of questions
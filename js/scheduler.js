@@ -0,0 +1,209 @@
+/**
+ * Spaced-Repetition Scheduler
+ * Picks the daily challenge and review queue using SM-2 style scheduling
+ */
+
+const Scheduler = {
+    // SM-2 ease factor bounds
+    DEFAULT_EASE: 2.5,
+    MIN_EASE: 1.3,
+
+    // Maximum number of questions in the daily review queue
+    MAX_REVIEW_QUEUE: 10,
+
+    /**
+     * Get the schedule card for a question
+     * @param {number|string} questionId - Question ID
+     * @returns {Object|null} Card with ease, interval, repetitions, due and lastReviewed
+     */
+    getCard(questionId) {
+        return Storage.getReviewSchedule()[questionId] || null;
+    },
+
+    /**
+     * Create a fresh card for a question that has never been reviewed
+     * @returns {Object} New card
+     */
+    createCard() {
+        return {
+            ease: this.DEFAULT_EASE,
+            interval: 0,
+            repetitions: 0,
+            due: null,
+            lastReviewed: null,
+            lastQuality: null
+        };
+    },
+
+    /**
+     * Convert an answer result to an SM-2 quality grade (0-5)
+     * @param {boolean|null} correct - Graded result, or null for ungraded answers
+     * @returns {number} Quality grade
+     */
+    getQuality(correct) {
+        if (correct === true) return 4;
+        if (correct === false) return 1;
+        return 3; // Free-text reveal: seen, but not graded
+    },
+
+    /**
+     * Apply an SM-2 review to a card
+     * @param {Object} card - Card to update
+     * @param {number} quality - Quality grade (0-5)
+     * @param {string} dateKey - Review date key (YYYY-MM-DD)
+     * @returns {Object} Updated card
+     */
+    applyReview(card, quality, dateKey) {
+        if (quality < 3) {
+            // Missed: start over and bring it back tomorrow
+            card.repetitions = 0;
+            card.interval = 1;
+        } else {
+            card.repetitions++;
+            if (card.repetitions === 1) {
+                card.interval = 1;
+            } else if (card.repetitions === 2) {
+                card.interval = 6;
+            } else {
+                card.interval = Math.round(card.interval * card.ease);
+            }
+        }
+
+        card.ease = Math.max(
+            this.MIN_EASE,
+            card.ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+        );
+        card.due = Storage.addDaysToKey(dateKey, card.interval);
+        card.lastReviewed = dateKey;
+        card.lastQuality = quality;
+
+        return card;
+    },
+
+    /**
+     * Record a review for a question
+     * @param {number|string} questionId - Question ID
+     * @param {boolean|null} correct - Graded result, or null for ungraded answers
+     */
+    review(questionId, correct) {
+        const schedule = Storage.getReviewSchedule();
+        const today = Storage.getDateKey();
+        const card = schedule[questionId] || this.buildCardFromHistory(questionId);
+
+        // Only the first review of the day moves the schedule
+        if (card.lastReviewed !== today) {
+            this.applyReview(card, this.getQuality(correct), today);
+        }
+
+        schedule[questionId] = card;
+        Storage.setReviewSchedule(schedule);
+    },
+
+    /**
+     * Build a card by replaying a question's stored answer history
+     * @param {number|string} questionId - Question ID
+     * @returns {Object} Card reflecting past attempts
+     */
+    buildCardFromHistory(questionId) {
+        const card = this.createCard();
+        const record = Storage.getQuestionRecord(questionId);
+
+        if (record) {
+            record.attempts.forEach(attempt => {
+                const dateKey = Storage.getDateKey(attempt.date);
+                if (card.lastReviewed !== dateKey) {
+                    this.applyReview(card, this.getQuality(attempt.correct), dateKey);
+                }
+            });
+        }
+
+        return card;
+    },
+
+    /**
+     * Get today's pick, computing and storing it on the first call of the day
+     * @param {Array} questions - All available questions
+     * @returns {Object} Pick with date, questionId and reviewQueue
+     */
+    getDailyPick(questions) {
+        // A new pick only once the study day rolls over, not at midnight
+        const today = StudyDay.today();
+        const stored = Storage.getDailyPick();
+        const ids = questions.map(q => String(q.id));
+
+        // Reuse today's pick as long as its question still exists
+        if (stored && stored.date === today && ids.includes(String(stored.questionId))) {
+            return stored;
+        }
+
+        const pick = this.buildPick(questions, today);
+        Storage.setDailyPick(pick);
+        return pick;
+    },
+
+    /**
+     * Choose the daily challenge and review queue for a day
+     * @param {Array} questions - All available questions
+     * @param {string} today - Date key (YYYY-MM-DD)
+     * @returns {Object} Pick with date, questionId and reviewQueue
+     */
+    buildPick(questions, today) {
+        const schedule = Storage.getReviewSchedule();
+        const missed = [];
+        const due = [];
+        const fresh = [];
+        const upcoming = [];
+
+        questions.forEach(question => {
+            let card = schedule[question.id];
+            if (!card && Storage.isQuestionAnswered(question.id)) {
+                card = this.buildCardFromHistory(question.id);
+            }
+
+            if (!card) {
+                fresh.push({ question, card: null });
+            } else if (card.due <= today) {
+                (card.repetitions === 0 ? missed : due).push({ question, card });
+            } else {
+                upcoming.push({ question, card });
+            }
+        });
+
+        // Most overdue first, then hardest (lowest ease)
+        const byUrgency = (a, b) =>
+            a.card.due.localeCompare(b.card.due) || a.card.ease - b.card.ease;
+        missed.sort(byUrgency);
+        due.sort(byUrgency);
+        upcoming.sort(byUrgency);
+
+        // Missed questions come back first, then new ones, then regular reviews
+        const ordered = [...missed, ...fresh, ...due];
+        const daily = ordered[0] || upcoming[0];
+
+        if (!daily) {
+            return { date: today, questionId: null, reviewQueue: [] };
+        }
+
+        const reviewQueue = [...missed, ...due]
+            .filter(entry => entry !== daily)
+            .slice(0, this.MAX_REVIEW_QUEUE)
+            .map(entry => entry.question.id);
+
+        return { date: today, questionId: daily.question.id, reviewQueue };
+    },
+
+    /**
+     * Get today's review queue, skipping questions already reviewed today
+     * @param {Array} questions - All available questions
+     * @returns {Array} Question IDs still to review today
+     */
+    getReviewQueue(questions) {
+        const today = Storage.getDateKey();
+        const schedule = Storage.getReviewSchedule();
+
+        return this.getDailyPick(questions).reviewQueue.filter(id => {
+            const card = schedule[id];
+            return !card || card.lastReviewed !== today;
+        });
+    }
+};
@@ -0,0 +1,549 @@
+/**
+ * Timed Practice Section
+ * Simulates an LSAT section: N questions under a 35-minute section clock
+ */
+
+const Section = {
+    // DOM elements
+    elements: {
+        setupView: null,
+        activeView: null,
+        reviewView: null,
+        resultsView: null,
+        countInput: null,
+        typeSelect: null,
+        startBtn: null,
+        setupMessage: null,
+        historyList: null,
+        clock: null,
+        warning: null,
+        passage: null,
+        progress: null,
+        questionType: null,
+        questionText: null,
+        choicesList: null,
+        flagBtn: null,
+        prevBtn: null,
+        nextBtn: null,
+        palette: null,
+        endBtn: null,
+        reviewTitle: null,
+        reviewList: null,
+        showResultsBtn: null,
+        resultsScore: null,
+        resultsSummary: null,
+        resultsTable: null,
+        newSectionBtn: null
+    },
+
+    // Section clock (in seconds)
+    DURATION: 35 * 60,
+    WARNING_TIME: 5 * 60,
+
+    // Multiple-choice questions eligible for sections
+    allQuestions: [],
+
+    // Section state
+    state: {
+        phase: 'setup', // 'setup', 'active', 'review' or 'results'
+        questions: [],
+        answers: {},
+        flagged: {},
+        timeSpent: {}, // ms per question ID
+        position: 0,
+        startTime: null,
+        endTime: null,
+        viewStart: null,
+        interval: null,
+        warned: false,
+        timeExpired: false
+    },
+
+    // Most recently completed section record
+    lastRecord: null,
+
+    // Passage currently drawn in the section view
+    renderedPassageId: null,
+
+    /**
+     * Initialize practice section
+     * @param {Array} questions - Array of question objects from config
+     */
+    init(questions) {
+        this.allQuestions = (questions || []).filter(q => Questions.isMultipleChoice(q));
+
+        // Cache DOM elements
+        this.elements.setupView = document.getElementById('sectionSetup');
+        this.elements.activeView = document.getElementById('sectionActive');
+        this.elements.reviewView = document.getElementById('sectionReview');
+        this.elements.resultsView = document.getElementById('sectionResults');
+        this.elements.countInput = document.getElementById('sectionCount');
+        this.elements.typeSelect = document.getElementById('sectionType');
+        this.elements.startBtn = document.getElementById('startSection');
+        this.elements.setupMessage = document.getElementById('sectionSetupMessage');
+        this.elements.historyList = document.getElementById('sectionHistory');
+        this.elements.clock = document.getElementById('sectionClock');
+        this.elements.warning = document.getElementById('sectionWarning');
+        this.elements.passage = document.getElementById('sectionPassage');
+        this.elements.progress = document.getElementById('sectionProgress');
+        this.elements.questionType = document.getElementById('sectionQuestionType');
+        this.elements.questionText = document.getElementById('sectionQuestionText');
+        this.elements.choicesList = document.getElementById('sectionChoices');
+        this.elements.flagBtn = document.getElementById('sectionFlag');
+        this.elements.prevBtn = document.getElementById('sectionPrev');
+        this.elements.nextBtn = document.getElementById('sectionNext');
+        this.elements.palette = document.getElementById('sectionPalette');
+        this.elements.endBtn = document.getElementById('endSection');
+        this.elements.reviewTitle = document.getElementById('sectionReviewTitle');
+        this.elements.reviewList = document.getElementById('sectionReviewList');
+        this.elements.showResultsBtn = document.getElementById('showSectionResults');
+        this.elements.resultsScore = document.getElementById('sectionScore');
+        this.elements.resultsSummary = document.getElementById('sectionSummary');
+        this.elements.resultsTable = document.getElementById('sectionResultsTable');
+        this.elements.newSectionBtn = document.getElementById('newSection');
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        // Populate setup form
+        this.populateTypeSelect();
+        this.elements.countInput.max = Math.max(1, this.allQuestions.length);
+        this.renderHistory();
+        this.showView('setup');
+
+        // Recalculate the clock immediately when the tab becomes visible
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && this.state.phase === 'active') {
+                this.tick();
+            }
+        });
+    },
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.startBtn.addEventListener('click', () => this.start());
+        this.elements.flagBtn.addEventListener('click', () => this.toggleFlag());
+        this.elements.prevBtn.addEventListener('click', () => this.goTo(this.state.position - 1));
+        this.elements.nextBtn.addEventListener('click', () => this.goTo(this.state.position + 1));
+        this.elements.endBtn.addEventListener('click', () => {
+            if (confirm('End the section now? You won\'t be able to change your answers.')) {
+                this.finish(false);
+            }
+        });
+        this.elements.showResultsBtn.addEventListener('click', () => this.showResults());
+        this.elements.newSectionBtn.addEventListener('click', () => this.showView('setup'));
+    },
+
+    /**
+     * Fill the question type filter with types that have multiple-choice questions
+     */
+    populateTypeSelect() {
+        const select = this.elements.typeSelect;
+        const types = [...new Set(this.allQuestions.map(q => q.type))];
+
+        select.innerHTML = '<option value="all">All types</option>';
+        types.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = Questions.formatQuestionType(type);
+            select.appendChild(option);
+        });
+    },
+
+    /**
+     * Show one of the section views
+     * @param {string} phase - 'setup', 'active', 'review' or 'results'
+     */
+    showView(phase) {
+        this.state.phase = phase;
+        this.elements.setupView.classList.toggle('hidden', phase !== 'setup');
+        this.elements.activeView.classList.toggle('hidden', phase !== 'active');
+        this.elements.reviewView.classList.toggle('hidden', phase !== 'review');
+        this.elements.resultsView.classList.toggle('hidden', phase !== 'results');
+
+        if (phase === 'setup') {
+            this.elements.setupMessage.textContent = '';
+            this.renderHistory();
+        }
+    },
+
+    /**
+     * Start a new section
+     */
+    start() {
+        const type = this.elements.typeSelect.value;
+        const count = parseInt(this.elements.countInput.value);
+        const pool = this.allQuestions.filter(q => type === 'all' || q.type === type);
+
+        if (pool.length === 0) {
+            this.elements.setupMessage.textContent =
+                'No multiple-choice questions available for this type yet.';
+            return;
+        }
+
+        if (!(count > 0)) {
+            this.elements.setupMessage.textContent = 'Choose at least one question.';
+            return;
+        }
+
+        const now = Date.now();
+        this.state.questions = this.groupByPassage(this.shuffle(pool).slice(0, count));
+        this.state.answers = {};
+        this.state.flagged = {};
+        this.state.timeSpent = {};
+        this.state.position = 0;
+        this.state.startTime = now;
+        this.state.endTime = now + (this.DURATION * 1000);
+        this.state.viewStart = now;
+        this.state.warned = false;
+        this.state.timeExpired = false;
+        this.state.typeFilter = type;
+
+        this.elements.warning.classList.add('hidden');
+        this.renderedPassageId = null;
+        this.showView('active');
+        this.renderQuestion();
+        this.tick();
+
+        this.state.interval = setInterval(() => this.tick(), 1000);
+    },
+
+    /**
+     * Section clock tick (every second)
+     */
+    tick() {
+        // Same drift-free calculation the Pomodoro timer uses
+        const secondsLeft = Timer.getSecondsLeft(this.state.endTime);
+        const minutes = Math.floor(secondsLeft / 60);
+        const seconds = secondsLeft % 60;
+
+        this.elements.clock.textContent =
+            `${Timer.formatNumber(minutes)}:${Timer.formatNumber(seconds)}`;
+
+        if (secondsLeft <= this.WARNING_TIME && !this.state.warned) {
+            this.showWarning();
+        }
+
+        if (secondsLeft <= 0) {
+            this.finish(true);
+        }
+    },
+
+    /**
+     * Show the five-minute warning
+     */
+    showWarning() {
+        this.state.warned = true;
+        this.elements.warning.classList.remove('hidden');
+        this.elements.clock.classList.add('warning');
+        Timer.playChime();
+    },
+
+    /**
+     * Add time spent on the current question since it was shown
+     */
+    recordTimeOnCurrent() {
+        const now = Date.now();
+        const question = this.state.questions[this.state.position];
+        const id = question.id;
+
+        this.state.timeSpent[id] = (this.state.timeSpent[id] || 0) + (now - this.state.viewStart);
+        this.state.viewStart = now;
+    },
+
+    /**
+     * Move to a question in the section
+     * @param {number} position - Question position
+     */
+    goTo(position) {
+        if (position < 0 || position >= this.state.questions.length) return;
+
+        this.recordTimeOnCurrent();
+        this.state.position = position;
+        this.renderQuestion();
+    },
+
+    /**
+     * Render the current section question
+     */
+    renderQuestion() {
+        const question = this.state.questions[this.state.position];
+        const total = this.state.questions.length;
+
+        this.elements.progress.textContent = `Question ${this.state.position + 1} of ${total}`;
+        this.elements.questionType.textContent = Questions.formatQuestionType(question.type, question);
+        this.elements.questionText.textContent = question.question;
+        this.renderPassage(Questions.getPassage(question));
+
+        // Render choices
+        this.elements.choicesList.innerHTML = '';
+        question.choices.forEach((text, index) => {
+            const letter = Questions.CHOICE_LETTERS[index];
+            const button = Questions.createChoiceButton(letter, text);
+            button.classList.toggle('selected', this.state.answers[question.id] === letter);
+            button.addEventListener('click', () => this.selectChoice(letter));
+            this.elements.choicesList.appendChild(button);
+        });
+
+        // Update controls
+        const isFlagged = !!this.state.flagged[question.id];
+        this.elements.flagBtn.textContent = isFlagged ? '⚑ Flagged' : '⚐ Flag';
+        this.elements.flagBtn.classList.toggle('active', isFlagged);
+        this.elements.prevBtn.disabled = this.state.position === 0;
+        this.elements.nextBtn.disabled = this.state.position === total - 1;
+
+        this.renderPalette();
+    },
+
+    /**
+     * Show the passage for the current question, keeping scroll position within a set
+     * @param {Object|null} passage - Passage object
+     */
+    renderPassage(passage) {
+        this.elements.passage.classList.toggle('hidden', !passage);
+
+        if (!passage) {
+            this.renderedPassageId = null;
+            return;
+        }
+
+        if (this.renderedPassageId !== passage.id) {
+            this.elements.passage.innerHTML = '';
+            this.elements.passage.appendChild(Questions.buildPassageLines(passage));
+            this.elements.passage.scrollTop = 0;
+            this.renderedPassageId = passage.id;
+        }
+    },
+
+    /**
+     * Render the numbered question palette
+     */
+    renderPalette() {
+        this.elements.palette.innerHTML = '';
+
+        this.state.questions.forEach((question, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'palette-item';
+            button.textContent = index + 1;
+            button.classList.toggle('answered', !!this.state.answers[question.id]);
+            button.classList.toggle('flagged', !!this.state.flagged[question.id]);
+            button.classList.toggle('current', index === this.state.position);
+            button.addEventListener('click', () => this.goTo(index));
+            this.elements.palette.appendChild(button);
+        });
+    },
+
+    /**
+     * Select an answer for the current question
+     * @param {string} letter - Choice letter
+     */
+    selectChoice(letter) {
+        if (this.state.phase !== 'active') return;
+
+        const question = this.state.questions[this.state.position];
+        this.state.answers[question.id] = letter;
+        this.renderQuestion();
+    },
+
+    /**
+     * Flag or unflag the current question
+     */
+    toggleFlag() {
+        const question = this.state.questions[this.state.position];
+        this.state.flagged[question.id] = !this.state.flagged[question.id];
+        this.renderQuestion();
+    },
+
+    /**
+     * End the section, grade it and save the record
+     * @param {boolean} timeExpired - True if the section clock ran out
+     */
+    finish(timeExpired) {
+        if (this.state.phase !== 'active') return;
+
+        this.recordTimeOnCurrent();
+        clearInterval(this.state.interval);
+        this.state.interval = null;
+        this.state.timeExpired = timeExpired;
+        this.elements.clock.classList.remove('warning');
+
+        const endedAt = Math.min(Date.now(), this.state.endTime);
+        const results = this.state.questions.map(question => {
+            const choice = this.state.answers[question.id] || null;
+            const timeSpent = Math.round((this.state.timeSpent[question.id] || 0) / 1000);
+
+            return {
+                id: question.id,
+                type: question.type,
+                choice,
+                correctChoice: question.correctChoice,
+                correct: choice === question.correctChoice,
+                flagged: !!this.state.flagged[question.id],
+                timeSpent
+            };
+        });
+
+        this.lastRecord = {
+            id: `section_${this.state.startTime}`,
+            startedAt: new Date(this.state.startTime).toISOString(),
+            endedAt: new Date(endedAt).toISOString(),
+            durationSeconds: this.DURATION,
+            timeUsedSeconds: Math.round((endedAt - this.state.startTime) / 1000),
+            timeExpired,
+            typeFilter: this.state.typeFilter,
+            score: results.filter(r => r.correct).length,
+            total: results.length,
+            questions: results
+        };
+
+        Storage.addSectionRecord(this.lastRecord);
+
+        // Answered questions also count toward each question's history
+        results.forEach(result => {
+            if (!result.choice) return;
+            Storage.recordAnswer(result.id, result.choice, result.correct, {
+                source: 'section',
+                timeSpent: result.timeSpent
+            });
+            Scheduler.review(result.id, result.correct);
+            Questions.notifyAnswered(result.id, result.correct);
+        });
+
+        this.renderReview();
+        this.showView('review');
+    },
+
+    /**
+     * Render the locked review screen
+     */
+    renderReview() {
+        const record = this.lastRecord;
+        const answeredCount = record.questions.filter(r => r.choice).length;
+
+        this.elements.reviewTitle.textContent = record.timeExpired
+            ? '⏰ Time\'s up! Answers are locked.'
+            : '🔒 Section submitted. Answers are locked.';
+
+        this.elements.reviewList.innerHTML = '';
+        record.questions.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'section-review-item';
+            item.textContent =
+                `${index + 1}. ${Questions.formatQuestionType(result.type)} — ` +
+                (result.choice ? `Your answer: (${result.choice})` : 'Not answered') +
+                (result.flagged ? ' ⚑' : '');
+            this.elements.reviewList.appendChild(item);
+        });
+
+        const summary = document.createElement('li');
+        summary.className = 'section-review-summary';
+        summary.textContent = `${answeredCount} of ${record.total} answered`;
+        this.elements.reviewList.appendChild(summary);
+    },
+
+    /**
+     * Show the results page with time spent per question
+     */
+    showResults() {
+        const record = this.lastRecord;
+        const percentage = Math.round((record.score / record.total) * 100);
+        const avgTime = Math.round(record.timeUsedSeconds / record.total);
+
+        this.elements.resultsScore.textContent = `${record.score} / ${record.total} (${percentage}%)`;
+        this.elements.resultsSummary.textContent =
+            `Time used: ${this.formatSeconds(record.timeUsedSeconds)} of ` +
+            `${this.formatSeconds(record.durationSeconds)} • ` +
+            `Average ${this.formatSeconds(avgTime)} per question`;
+
+        const tbody = this.elements.resultsTable.querySelector('tbody');
+        tbody.innerHTML = '';
+        record.questions.forEach((result, index) => {
+            const row = document.createElement('tr');
+            row.className = result.correct ? 'correct' : 'incorrect';
+            [
+                index + 1,
+                Questions.formatQuestionType(result.type),
+                result.choice ? `(${result.choice})` : '—',
+                `(${result.correctChoice})`,
+                result.correct ? '✅' : '❌',
+                this.formatSeconds(result.timeSpent)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+
+        this.showView('results');
+    },
+
+    /**
+     * Render recent completed sections on the setup screen
+     */
+    renderHistory() {
+        const history = Storage.getSectionHistory().slice(-5).reverse();
+        this.elements.historyList.innerHTML = '';
+
+        history.forEach(record => {
+            const item = document.createElement('li');
+            const date = new Date(record.startedAt).toLocaleDateString('en-US', {
+                month: 'short',
+                day: 'numeric'
+            });
+            item.textContent = `${date} • ${record.score}/${record.total} correct • ` +
+                `${this.formatSeconds(record.timeUsedSeconds)} used`;
+            this.elements.historyList.appendChild(item);
+        });
+    },
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} totalSeconds - Seconds
+     * @returns {string} Formatted time
+     */
+    formatSeconds(totalSeconds) {
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = totalSeconds % 60;
+        return `${minutes}:${Timer.formatNumber(seconds)}`;
+    },
+
+    /**
+     * Keep questions from the same passage together, in bank order
+     * @param {Array} questions - Selected questions
+     * @returns {Array} Reordered questions
+     */
+    groupByPassage(questions) {
+        const grouped = [];
+        const seenPassages = {};
+
+        questions.forEach(question => {
+            if (!question.passageId) {
+                grouped.push(question);
+            } else if (!seenPassages[question.passageId]) {
+                seenPassages[question.passageId] = true;
+                const set = Questions.getPassageQuestions(question.passageId);
+                grouped.push(...set.filter(q => questions.includes(q)));
+            }
+        });
+
+        return grouped;
+    },
+
+    /**
+     * Shuffle a copy of an array
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} Shuffled copy
+     */
+    shuffle(items) {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy;
+    }
+};
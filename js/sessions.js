@@ -0,0 +1,588 @@
+/**
+ * Study Session Log
+ * Keeps a labelled record of every finished study session, with a history view to edit or delete them
+ */
+
+const SessionLog = {
+    // DOM elements
+    elements: {
+        labelInput: null,
+        labelOptions: null,
+        rangeFilter: null,
+        labelFilter: null,
+        summary: null,
+        breakdown: null,
+        list: null
+    },
+
+    // Labels offered when config.json doesn't list any
+    DEFAULT_LABELS: [
+        'Logical Reasoning drills',
+        'Reading Comp',
+        'Practice test',
+        'Blind review',
+        'Mistake review'
+    ],
+
+    // History ranges (key: label)
+    RANGES: {
+        today: 'Today',
+        week: 'This week',
+        month: 'This month',
+        all: 'All time'
+    },
+
+    // Suggested labels from config.json
+    labels: [],
+
+    // Session being edited in the history view
+    editingId: null,
+
+    /**
+     * Initialize the session log
+     * @param {Array} labels - Suggested labels from config.json
+     */
+    init(labels = []) {
+        // Cache DOM elements
+        this.elements.labelInput = document.getElementById('sessionLabel');
+        this.elements.labelOptions = document.getElementById('sessionLabelOptions');
+        this.elements.rangeFilter = document.getElementById('sessionLogRange');
+        this.elements.labelFilter = document.getElementById('sessionLogLabel');
+        this.elements.summary = document.getElementById('sessionLogSummary');
+        this.elements.breakdown = document.getElementById('sessionLogBreakdown');
+        this.elements.list = document.getElementById('sessionLogList');
+
+        this.labels = labels.length > 0 ? labels : this.DEFAULT_LABELS;
+        this.elements.labelInput.value = Storage.getSessionLabel();
+
+        Object.entries(this.RANGES).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            this.elements.rangeFilter.appendChild(option);
+        });
+        this.elements.rangeFilter.value = 'week';
+
+        // Set up event listeners
+        this.setupEventListeners();
+
+        this.render();
+    },
+
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.labelInput.addEventListener('change', (e) => {
+            Storage.setSessionLabel(e.target.value.trim());
+        });
+        this.elements.rangeFilter.addEventListener('change', () => this.render());
+        this.elements.labelFilter.addEventListener('change', () => this.render());
+
+        document.addEventListener('timerComplete', (e) => this.handleSessionEnd(e.detail));
+        document.addEventListener('timerStopped', (e) => this.handleSessionEnd(e.detail));
+
+        // Keep other open tabs in step
+        window.addEventListener('storage', (e) => {
+            if (e.key === Storage.KEYS.SESSION_LOG) {
+                this.render();
+            } else if (e.key === Storage.KEYS.SESSION_LABEL) {
+                this.elements.labelInput.value = Storage.getSessionLabel();
+            }
+        });
+    },
+
+    /**
+     * Log a finished or stopped-early work or flow session
+     * @param {Object} detail - timerComplete or timerStopped event detail
+     */
+    handleSessionEnd(detail) {
+        if (!Timer.isStudyMode(detail.mode) || !detail.startTime) return;
+
+        Storage.addSessionRecord({
+            start: new Date(detail.startTime).toISOString(),
+            end: new Date(detail.endTime).toISOString(),
+            durationMinutes: detail.duration / 60,
+            mode: detail.mode,
+            label: Storage.getSessionLabel(),
+            partial: detail.partial,
+            pauses: detail.pauses,
+            pausedMinutes: detail.pausedSeconds / 60,
+            awayCount: detail.awayCount,
+            awayMinutes: detail.awaySeconds / 60
+        });
+
+        this.notifyChange();
+    },
+
+    /**
+     * Get logged sessions matching a query
+     * @param {Object} query - Filters
+     * @param {string} [query.label] - Only sessions with this label (case-insensitive)
+     * @param {string} [query.from] - First date key to include (YYYY-MM-DD)
+     * @param {string} [query.to] - Last date key to include (YYYY-MM-DD)
+     * @param {string} [query.mode] - Only sessions of this timer mode
+     * @returns {Array} Matching session records, oldest first
+     */
+    getSessions(query = {}) {
+        const label = query.label === undefined ? null : this.normalizeLabel(query.label);
+
+        return Storage.getSessionLog().filter(record => {
+            const dateKey = Storage.getDateKey(record.start);
+            if (query.from && dateKey < query.from) return false;
+            if (query.to && dateKey > query.to) return false;
+            if (query.mode && record.mode !== query.mode) return false;
+            if (label !== null && this.normalizeLabel(record.label) !== label) return false;
+            return true;
+        });
+    },
+
+    /**
+     * Get total minutes studied for a query, e.g. { label: 'Reading Comp', ...getRangeQuery('week') }
+     * @param {Object} query - Filters, as for getSessions
+     * @returns {number} Minutes
+     */
+    getMinutes(query = {}) {
+        return this.getSessions(query).reduce((sum, record) => sum + record.durationMinutes, 0);
+    },
+
+    /**
+     * Get minutes and session counts per label for a query
+     * @param {Object} query - Filters, as for getSessions
+     * @returns {Array} Totals as { label, minutes, sessions }, most minutes first
+     */
+    getMinutesByLabel(query = {}) {
+        const totals = {};
+
+        this.getSessions(query).forEach(record => {
+            const key = this.normalizeLabel(record.label);
+            if (!totals[key]) {
+                totals[key] = { label: record.label, minutes: 0, sessions: 0 };
+            }
+            totals[key].minutes += record.durationMinutes;
+            totals[key].sessions++;
+        });
+
+        return Object.values(totals).sort((a, b) => b.minutes - a.minutes);
+    },
+
+    /**
+     * Get focus quality: the share of a session's span spent studying rather than paused
+     * @param {Array} records - Session records
+     * @returns {number|null} Percentage, or null if none of the records tracked pauses
+     */
+    getFocusQuality(records) {
+        const tracked = records.filter(r => typeof r.pausedMinutes === 'number');
+        const focused = tracked.reduce((sum, r) => sum + r.durationMinutes, 0);
+        const paused = tracked.reduce((sum, r) => sum + r.pausedMinutes, 0);
+
+        return focused + paused > 0 ? Math.round((focused / (focused + paused)) * 100) : null;
+    },
+
+    /**
+     * Add up time spent on other tabs during sessions
+     * @param {Array} records - Session records
+     * @returns {Object|null} Totals as { count, minutes }, or null if none of the records tracked it
+     */
+    getDistractions(records) {
+        const tracked = records.filter(r => typeof r.awayMinutes === 'number');
+        if (tracked.length === 0) return null;
+
+        return {
+            count: tracked.reduce((sum, r) => sum + r.awayCount, 0),
+            minutes: tracked.reduce((sum, r) => sum + r.awayMinutes, 0)
+        };
+    },
+
+    /**
+     * Describe time spent on other tabs
+     * @param {Object} distractions - Totals as { count, minutes }
+     * @returns {string} Description, e.g. "Away 2× (3m)"
+     */
+    formatDistractions(distractions) {
+        return distractions.count > 0
+            ? `Away ${distractions.count}× (${this.formatMinutes(distractions.minutes)})`
+            : 'Never left the page';
+    },
+
+    /**
+     * Get the date filters for a named range
+     * @param {string} range - 'today', 'week', 'month' or 'all'
+     * @returns {Object} Query with from (and to) date keys
+     */
+    getRangeQuery(range) {
+        const today = Storage.getDateKey();
+
+        switch (range) {
+            case 'today':
+                return { from: today, to: today };
+            case 'week':
+                return { from: Stats.getWeekKey(new Date()) };
+            case 'month':
+                return { from: `${today.slice(0, 8)}01` };
+            default:
+                return {};
+        }
+    },
+
+    /**
+     * Get every label used so far plus the suggested ones
+     * @returns {Array} Labels, suggested first
+     */
+    getKnownLabels() {
+        const seen = new Set();
+        const labels = [];
+
+        [...this.labels, ...Storage.getSessionLog().map(r => r.label)].forEach(label => {
+            const key = this.normalizeLabel(label);
+            if (!key || seen.has(key)) return;
+            seen.add(key);
+            labels.push(label);
+        });
+
+        return labels;
+    },
+
+    /**
+     * Normalize a label for comparisons
+     * @param {string} label - Label
+     * @returns {string} Trimmed, lower-case label
+     */
+    normalizeLabel(label) {
+        return (label || '').trim().toLowerCase();
+    },
+
+    /**
+     * Change a logged session, keeping the study time total in step
+     * @param {string} id - Session ID
+     * @param {Object} changes - New label, start and durationMinutes
+     */
+    updateSession(id, changes) {
+        const before = Storage.getSessionLog().find(r => r.id === id);
+        if (!before) return;
+
+        const start = new Date(changes.start);
+        const end = new Date(start.getTime() + changes.durationMinutes * 60 * 1000);
+
+        Storage.updateSessionRecord(id, {
+            label: changes.label.trim(),
+            start: start.toISOString(),
+            end: end.toISOString(),
+            durationMinutes: changes.durationMinutes
+        });
+
+        const data = Storage.getTimerData();
+        data.totalMinutes = Math.max(0, data.totalMinutes + changes.durationMinutes - before.durationMinutes);
+        Storage.setTimerData(data);
+
+        this.notifyChange();
+    },
+
+    /**
+     * Delete a logged session and take it off the session and study time totals
+     * @param {string} id - Session ID
+     */
+    deleteSession(id) {
+        const record = Storage.deleteSessionRecord(id);
+        if (!record) return;
+
+        const data = Storage.getTimerData();
+        data.totalMinutes = Math.max(0, data.totalMinutes - record.durationMinutes);
+
+        // Sessions stopped early only ever added study time
+        if (!record.partial) {
+            data.totalSessions = Math.max(0, data.totalSessions - 1);
+            if (Storage.isToday(record.start) && data.lastSession === Storage.getTodayString()) {
+                data.sessionsToday = Math.max(0, data.sessionsToday - 1);
+            }
+        }
+        Storage.setTimerData(data);
+        Timer.loadTimerData();
+
+        this.notifyChange();
+    },
+
+    /**
+     * Re-render and let other modules know the log changed
+     */
+    notifyChange() {
+        this.render();
+        document.dispatchEvent(new CustomEvent('sessionLogChanged'));
+    },
+
+    /**
+     * Render the label suggestions, filters, summary and history list
+     */
+    render() {
+        const labels = this.getKnownLabels();
+        this.renderLabelOptions(labels);
+
+        const query = this.getRangeQuery(this.elements.rangeFilter.value);
+        if (this.elements.labelFilter.value) {
+            query.label = this.elements.labelFilter.value;
+        }
+
+        const sessions = this.getSessions(query);
+        this.renderSummary(sessions, query);
+
+        this.elements.list.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'session-log-empty';
+            empty.textContent = Storage.getSessionLog().length === 0
+                ? 'Finish a study session and it will show up here.'
+                : 'No sessions match these filters.';
+            this.elements.list.appendChild(empty);
+            return;
+        }
+
+        sessions.slice().reverse().forEach(record => {
+            this.elements.list.appendChild(record.id === this.editingId
+                ? this.createEditItem(record)
+                : this.createItem(record));
+        });
+    },
+
+    /**
+     * Fill the label suggestions and the label filter
+     * @param {Array} labels - Known labels
+     */
+    renderLabelOptions(labels) {
+        this.elements.labelOptions.innerHTML = '';
+        labels.forEach(label => {
+            const option = document.createElement('option');
+            option.value = label;
+            this.elements.labelOptions.appendChild(option);
+        });
+
+        const selected = this.elements.labelFilter.value;
+        this.elements.labelFilter.innerHTML = '';
+        [['', 'All labels'], ...labels.map(label => [label, label])].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            this.elements.labelFilter.appendChild(option);
+        });
+        this.elements.labelFilter.value = labels.includes(selected) ? selected : '';
+    },
+
+    /**
+     * Render the total for the current filters and the per-label breakdown
+     * @param {Array} sessions - Sessions shown
+     * @param {Object} query - Current filters
+     */
+    renderSummary(sessions, query) {
+        const range = this.RANGES[this.elements.rangeFilter.value].toLowerCase();
+        const minutes = sessions.reduce((sum, record) => sum + record.durationMinutes, 0);
+        const subject = query.label || 'Study time';
+
+        const quality = this.getFocusQuality(sessions);
+        const distractions = this.getDistractions(sessions);
+
+        this.elements.summary.textContent = sessions.length > 0
+            ? `${subject} ${range}: ${this.formatMinutes(minutes)} across ${sessions.length} session${sessions.length === 1 ? '' : 's'}` +
+              (quality === null ? '' : ` • Focus quality ${quality}%`) +
+              (distractions === null ? '' : ` • ${this.formatDistractions(distractions)}`)
+            : '';
+
+        const byLabel = query.label ? [] : this.getMinutesByLabel(query);
+        this.elements.breakdown.textContent = byLabel.length > 1
+            ? byLabel.map(t => `${t.label || 'Unlabelled'}: ${this.formatMinutes(t.minutes)}`).join(' • ')
+            : '';
+    },
+
+    /**
+     * Create a history list item
+     * @param {Object} record - Session record
+     * @returns {HTMLLIElement} List item
+     */
+    createItem(record) {
+        const li = document.createElement('li');
+        li.className = 'session-log-item';
+
+        const meta = document.createElement('div');
+        meta.className = 'bank-item-meta';
+        meta.textContent = [
+            this.formatDay(record.start),
+            `${this.formatClock(record.start)}–${this.formatClock(record.end)}`,
+            this.formatMinutes(record.durationMinutes),
+            Timer.MODE_LABELS[record.mode] || record.mode,
+            record.partial ? 'Stopped early' : ''
+        ].filter(Boolean).join(' • ');
+
+        const label = document.createElement('p');
+        label.className = 'session-log-label';
+        label.textContent = record.label || 'Unlabelled';
+        label.classList.toggle('unlabelled', !record.label);
+
+        let focus = null;
+        const quality = this.getFocusQuality([record]);
+        if (quality !== null) {
+            const distractions = this.getDistractions([record]);
+            focus = document.createElement('p');
+            focus.className = 'session-log-focus';
+            focus.textContent = [
+                `Focus quality ${quality}%`,
+                record.pauses > 0
+                    ? `${record.pauses} pause${record.pauses === 1 ? '' : 's'} (${this.formatMinutes(record.pausedMinutes)})`
+                    : 'No pauses',
+                distractions ? this.formatDistractions(distractions) : ''
+            ].filter(Boolean).join(' • ');
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'bank-item-actions';
+
+        const editBtn = document.createElement('button');
+        editBtn.type = 'button';
+        editBtn.className = 'btn-nav';
+        editBtn.textContent = 'Edit';
+        editBtn.addEventListener('click', () => {
+            this.editingId = record.id;
+            this.render();
+        });
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.className = 'btn-nav';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+            if (confirm('Delete this session from your history?')) {
+                this.deleteSession(record.id);
+            }
+        });
+
+        actions.appendChild(editBtn);
+        actions.appendChild(deleteBtn);
+
+        li.appendChild(meta);
+        li.appendChild(label);
+        if (focus) li.appendChild(focus);
+        li.appendChild(actions);
+
+        return li;
+    },
+
+    /**
+     * Create a history list item with an edit form
+     * @param {Object} record - Session record
+     * @returns {HTMLLIElement} List item
+     */
+    createEditItem(record) {
+        const li = document.createElement('li');
+        li.className = 'session-log-item editing';
+
+        const form = document.createElement('div');
+        form.className = 'session-log-form';
+
+        const labelInput = document.createElement('input');
+        labelInput.type = 'text';
+        labelInput.value = record.label;
+        labelInput.placeholder = 'Label';
+        labelInput.setAttribute('list', 'sessionLabelOptions');
+        labelInput.setAttribute('aria-label', 'Label');
+
+        const startInput = document.createElement('input');
+        startInput.type = 'datetime-local';
+        startInput.value = this.toInputValue(record.start);
+        startInput.setAttribute('aria-label', 'Start time');
+
+        const minutesInput = document.createElement('input');
+        minutesInput.type = 'number';
+        minutesInput.min = '1';
+        minutesInput.max = '600';
+        minutesInput.value = Math.round(record.durationMinutes);
+        minutesInput.setAttribute('aria-label', 'Minutes');
+
+        form.appendChild(labelInput);
+        form.appendChild(startInput);
+        form.appendChild(minutesInput);
+
+        const actions = document.createElement('div');
+        actions.className = 'bank-item-actions';
+
+        const saveBtn = document.createElement('button');
+        saveBtn.type = 'button';
+        saveBtn.className = 'btn-nav';
+        saveBtn.textContent = 'Save';
+        saveBtn.addEventListener('click', () => {
+            const minutes = parseInt(minutesInput.value);
+            const start = new Date(startInput.value);
+            if (!(minutes > 0) || isNaN(start.getTime())) return;
+
+            // Keep fractional minutes unless the length was actually changed
+            const durationMinutes = minutes === Math.round(record.durationMinutes)
+                ? record.durationMinutes
+                : minutes;
+
+            this.editingId = null;
+            this.updateSession(record.id, { label: labelInput.value, start, durationMinutes });
+        });
+
+        const cancelBtn = document.createElement('button');
+        cancelBtn.type = 'button';
+        cancelBtn.className = 'btn-nav';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => {
+            this.editingId = null;
+            this.render();
+        });
+
+        actions.appendChild(saveBtn);
+        actions.appendChild(cancelBtn);
+
+        li.appendChild(form);
+        li.appendChild(actions);
+
+        return li;
+    },
+
+    /**
+     * Format minutes for display
+     * @param {number} minutes - Minutes
+     * @returns {string} Formatted duration, e.g. "1h 25m"
+     */
+    formatMinutes(minutes) {
+        const rounded = Math.round(minutes);
+        if (rounded === 0 && minutes > 0) return '<1m';
+        if (rounded < 60) return `${rounded}m`;
+        return `${Math.floor(rounded / 60)}h ${rounded % 60}m`;
+    },
+
+    /**
+     * Format an ISO date as a short day
+     * @param {string} isoString - ISO date string
+     * @returns {string} Formatted day, e.g. "Mon, Oct 19"
+     */
+    formatDay(isoString) {
+        return new Date(isoString).toLocaleDateString('en-US', {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric'
+        });
+    },
+
+    /**
+     * Format an ISO date as a clock time
+     * @param {string} isoString - ISO date string
+     * @returns {string} Formatted time, e.g. "9:05 AM"
+     */
+    formatClock(isoString) {
+        return new Date(isoString).toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    },
+
+    /**
+     * Convert an ISO date to a datetime-local input value
+     * @param {string} isoString - ISO date string
+     * @returns {string} Local date and time (YYYY-MM-DDTHH:MM)
+     */
+    toInputValue(isoString) {
+        const d = new Date(isoString);
+        const time = `${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}`;
+        return `${StudyDay.formatKey(d)}T${time}`;
+    }
+};
@@ -0,0 +1,288 @@
+/**
+ * Performance Statistics
+ * Breaks down accuracy, attempts and timing by question type from local history
+ */
+
+const Stats = {
+    // DOM elements
+    elements: {
+        summary: null,
+        weakest: null,
+        tableBody: null
+    },
+
+    // Number of weeks shown in trend charts
+    TREND_WEEKS: 8,
+
+    // Graded attempts needed before a type can be flagged as weak
+    MIN_ATTEMPTS: 3,
+
+    /**
+     * Initialize statistics view
+     */
+    init() {
+        // Cache DOM elements
+        this.elements.summary = document.getElementById('statsSummary');
+        this.elements.weakest = document.getElementById('statsWeakest');
+        this.elements.tableBody = document.querySelector('#statsTable tbody');
+
+        // Refresh whenever new history is recorded
+        document.addEventListener('questionAnswered', () => this.render());
+        document.addEventListener('timerComplete', () => this.render());
+        document.addEventListener('sessionLogChanged', () => this.render());
+
+        this.render();
+    },
+
+    /**
+     * Collect every stored attempt along with its question type
+     * Questions waiting for their blind pass are left out until the pass is done
+     * @returns {Array} Attempts as { questionId, type, date, correct, timeSpent }
+     */
+    collectAttempts() {
+        const answered = Storage.getAnsweredQuestions();
+        const attempts = [];
+
+        Object.keys(answered).forEach(questionId => {
+            const index = Questions.getQuestionIndex(questionId);
+            if (index < 0) return; // Question no longer in the bank
+            if (BlindReview.isPending(questionId)) return; // Result still hidden
+
+            const type = Questions.allQuestions[index].type;
+            answered[questionId].attempts.forEach(attempt => {
+                if (attempt.phase === 'blind') return; // Compared separately by BlindReview
+                attempts.push({
+                    questionId,
+                    type,
+                    date: attempt.date,
+                    correct: attempt.correct,
+                    timeSpent: attempt.timeSpent
+                });
+            });
+        });
+
+        return attempts;
+    },
+
+    /**
+     * Summarize a list of attempts
+     * @param {Array} attempts - Attempts to summarize
+     * @returns {Object} Attempts, graded, correct, accuracy (%) and avgTime (seconds)
+     */
+    summarize(attempts) {
+        const graded = attempts.filter(a => a.correct !== null);
+        const correct = graded.filter(a => a.correct).length;
+        const timed = attempts.filter(a => typeof a.timeSpent === 'number');
+        const totalTime = timed.reduce((sum, a) => sum + a.timeSpent, 0);
+
+        return {
+            attempts: attempts.length,
+            graded: graded.length,
+            correct,
+            accuracy: graded.length > 0 ? Math.round((correct / graded.length) * 100) : null,
+            avgTime: timed.length > 0 ? Math.round(totalTime / timed.length) : null
+        };
+    },
+
+    /**
+     * Get the Monday that starts a date's week
+     * @param {Date|string} date - Date, or a date key (YYYY-MM-DD)
+     * @returns {string} Week key (YYYY-MM-DD)
+     */
+    getWeekKey(date) {
+        const dateKey = /^\d{4}-\d{2}-\d{2}$/.test(date) ? date : Storage.getDateKey(date);
+        const daysSinceMonday = (StudyDay.getWeekday(dateKey) + 6) % 7;
+        return Storage.addDaysToKey(dateKey, -daysSinceMonday);
+    },
+
+    /**
+     * Get weekly accuracy for the last few weeks
+     * @param {Array} attempts - Attempts to chart
+     * @returns {Array} Weekly points as { week, accuracy, graded }, oldest first
+     */
+    getTrend(attempts) {
+        const thisWeek = this.getWeekKey(new Date());
+        const weeks = [];
+
+        for (let i = this.TREND_WEEKS - 1; i >= 0; i--) {
+            const week = Storage.addDaysToKey(thisWeek, -7 * i);
+            const inWeek = attempts.filter(a => this.getWeekKey(a.date) === week);
+            const summary = this.summarize(inWeek);
+            weeks.push({ week, accuracy: summary.accuracy, graded: summary.graded });
+        }
+
+        return weeks;
+    },
+
+    /**
+     * Get per-type statistics for every question type in the bank
+     * @returns {Array} Stats objects with type, label, summary fields and trend
+     */
+    getTypeStats() {
+        const attempts = this.collectAttempts();
+        const bankTypes = Questions.allQuestions.map(q => q.type);
+        const types = [...new Set([...Object.keys(Questions.TYPE_LABELS), ...bankTypes])]
+            .filter(type => bankTypes.includes(type));
+
+        return types.map(type => {
+            const ofType = attempts.filter(a => a.type === type);
+            return {
+                type,
+                label: Questions.formatQuestionType(type),
+                ...this.summarize(ofType),
+                trend: this.getTrend(ofType)
+            };
+        });
+    },
+
+    /**
+     * Find the question types most in need of drilling
+     * @param {Array} typeStats - Per-type statistics
+     * @param {number|null} overallAccuracy - Accuracy across all types
+     * @returns {Array} Up to two weakest types, lowest accuracy first
+     */
+    getWeakestTypes(typeStats, overallAccuracy) {
+        if (overallAccuracy === null) return [];
+
+        return typeStats
+            .filter(s => s.graded >= this.MIN_ATTEMPTS && s.accuracy < overallAccuracy)
+            .sort((a, b) => a.accuracy - b.accuracy)
+            .slice(0, 2);
+    },
+
+    /**
+     * Render the statistics view
+     */
+    render() {
+        const attempts = this.collectAttempts();
+        const overall = this.summarize(attempts);
+        const typeStats = this.getTypeStats();
+        const weakest = this.getWeakestTypes(typeStats, overall.accuracy);
+
+        this.renderSummary(overall);
+        this.renderWeakest(weakest, typeStats.some(s => s.graded >= this.MIN_ATTEMPTS));
+        this.renderTable(typeStats, { label: 'All types', ...overall, trend: this.getTrend(attempts) });
+    },
+
+    /**
+     * Render the summary tiles
+     * @param {Object} overall - Summary across all attempts
+     */
+    renderSummary(overall) {
+        const timerData = Storage.getTimerData();
+        const focusQuality = SessionLog.getFocusQuality(Storage.getSessionLog());
+        const tiles = [
+            { value: Questions.getAnsweredCount(), label: 'Questions Answered' },
+            { value: overall.accuracy === null ? '—' : `${overall.accuracy}%`, label: 'Accuracy' },
+            { value: this.formatTime(overall.avgTime), label: 'Avg Time / Question' },
+            { value: `${(timerData.totalMinutes / 60).toFixed(1)}h`, label: 'Study Time' },
+            { value: focusQuality === null ? '—' : `${focusQuality}%`, label: 'Focus Quality' },
+            { value: Storage.getSectionHistory().length, label: 'Sections Completed' }
+        ];
+
+        this.elements.summary.innerHTML = '';
+        tiles.forEach(tile => {
+            const tileEl = document.createElement('div');
+            tileEl.className = 'stats-tile';
+
+            const valueEl = document.createElement('span');
+            valueEl.className = 'stats-tile-value';
+            valueEl.textContent = tile.value;
+
+            const labelEl = document.createElement('span');
+            labelEl.className = 'stats-tile-label';
+            labelEl.textContent = tile.label;
+
+            tileEl.appendChild(valueEl);
+            tileEl.appendChild(labelEl);
+            this.elements.summary.appendChild(tileEl);
+        });
+    },
+
+    /**
+     * Render the weakest-types callout
+     * @param {Array} weakest - Weakest type stats
+     * @param {boolean} hasEnoughData - True if any type has enough graded attempts
+     */
+    renderWeakest(weakest, hasEnoughData) {
+        if (weakest.length === 0) {
+            this.elements.weakest.textContent = hasEnoughData
+                ? '✨ No weak spots right now. Keep it up!'
+                : `Answer at least ${this.MIN_ATTEMPTS} graded questions of a type to see where to focus.`;
+            this.elements.weakest.classList.remove('has-weakness');
+            return;
+        }
+
+        const names = weakest.map(s => `${s.label} (${s.accuracy}%)`).join(' and ');
+        this.elements.weakest.textContent = `🎯 Drill next: ${names}`;
+        this.elements.weakest.classList.add('has-weakness');
+    },
+
+    /**
+     * Render the per-type table
+     * @param {Array} typeStats - Per-type statistics
+     * @param {Object} overallRow - Row for all types combined
+     */
+    renderTable(typeStats, overallRow) {
+        const tbody = this.elements.tableBody;
+        tbody.innerHTML = '';
+
+        [overallRow, ...typeStats].forEach((stats, index) => {
+            const row = document.createElement('tr');
+            row.classList.toggle('stats-total-row', index === 0);
+
+            [
+                stats.label,
+                stats.attempts,
+                stats.accuracy === null ? '—' : `${stats.accuracy}%`,
+                this.formatTime(stats.avgTime)
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+
+            const trendCell = document.createElement('td');
+            trendCell.appendChild(this.createTrendChart(stats.trend));
+            row.appendChild(trendCell);
+
+            tbody.appendChild(row);
+        });
+    },
+
+    /**
+     * Create a small weekly accuracy bar chart
+     * @param {Array} trend - Weekly points
+     * @returns {HTMLDivElement} Chart element
+     */
+    createTrendChart(trend) {
+        const chart = document.createElement('div');
+        chart.className = 'stats-trend';
+
+        trend.forEach(point => {
+            const bar = document.createElement('span');
+            bar.className = 'stats-trend-bar';
+            if (point.accuracy === null) {
+                bar.classList.add('empty');
+                bar.title = `Week of ${point.week}: no graded answers`;
+            } else {
+                bar.style.height = `${Math.max(point.accuracy, 4)}%`;
+                bar.title = `Week of ${point.week}: ${point.accuracy}% of ${point.graded}`;
+            }
+            chart.appendChild(bar);
+        });
+
+        return chart;
+    },
+
+    /**
+     * Format seconds for display
+     * @param {number|null} seconds - Seconds, or null if unknown
+     * @returns {string} Formatted time
+     */
+    formatTime(seconds) {
+        if (seconds === null) return '—';
+        if (seconds < 60) return `${seconds}s`;
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+};
@@ -7,14 +7,33 @@ const Storage = {
     // Storage keys
     KEYS: {
         STREAK_DATA: 'lsat_streak_data',
+        STREAK_SETTINGS: 'lsat_streak_settings',
         TIMER_DATA: 'lsat_timer_data',
+        TIMER_STATE: 'lsat_timer_state',
+        TIMER_SETTINGS: 'lsat_timer_settings',
+        AMBIENT_SETTINGS: 'lsat_ambient_settings',
         ANSWERED_QUESTIONS: 'lsat_answered_questions',
+        BOOKMARKS: 'lsat_bookmarks',
+        JOURNAL: 'lsat_question_journal',
         DISMISSED_MESSAGES: 'lsat_dismissed_messages',
+        REVIEW_SCHEDULE: 'lsat_review_schedule',
+        DAILY_PICK: 'lsat_daily_pick',
+        SECTION_HISTORY: 'lsat_section_history',
+        BLIND_REVIEW: 'lsat_blind_review',
+        QUESTION_DRAFTS: 'lsat_question_drafts',
+        QUESTION_PACKS: 'lsat_question_packs',
+        SESSION_LOG: 'lsat_session_log',
+        SESSION_LABEL: 'lsat_session_label',
+        GOAL_SETTINGS: 'lsat_goal_settings',
+        ACTIVITY_LOG: 'lsat_activity_log',
+        ACHIEVEMENTS: 'lsat_achievements',
+        COUNTDOWN_SETTINGS: 'lsat_countdown_settings',
+        PLAN_CHECKS: 'lsat_plan_checks',
         VERSION: 'lsat_app_version'
     },
 
     // Current version for data migration
-    VERSION: '1.0.0',
+    VERSION: '1.2.0',
 
     /**
      * Initialize storage and handle migrations
@@ -83,6 +102,46 @@ const Storage = {
         });
     },
 
+    // =============================
+    // Countdown Methods
+    // =============================
+
+    /**
+     * Get countdown settings
+     * @returns {Object} Settings with the pinned milestone ID (empty if never pinned)
+     */
+    getCountdownSettings() {
+        return this.get(this.KEYS.COUNTDOWN_SETTINGS, {});
+    },
+
+    /**
+     * Save countdown settings
+     * @param {Object} settings - Settings with the pinned milestone ID (null = next upcoming)
+     */
+    setCountdownSettings(settings) {
+        this.set(this.KEYS.COUNTDOWN_SETTINGS, settings);
+    },
+
+    // =============================
+    // Study Plan Methods
+    // =============================
+
+    /**
+     * Get study plan tasks ticked by hand
+     * @returns {Object} Ticked task IDs by date key
+     */
+    getPlanChecks() {
+        return this.get(this.KEYS.PLAN_CHECKS, {});
+    },
+
+    /**
+     * Save study plan tasks ticked by hand
+     * @param {Object} checks - Ticked task IDs by date key
+     */
+    setPlanChecks(checks) {
+        this.set(this.KEYS.PLAN_CHECKS, checks);
+    },
+
     // =============================
     // Streak Data Methods
     // =============================
@@ -97,6 +156,8 @@ const Storage = {
             longestStreak: 0,
             totalDays: 0,
             lastVisit: null,
+            lastStudyDay: null,
+            freezes: 0,
             startDate: new Date().toISOString()
         });
     },
@@ -109,6 +170,22 @@ const Storage = {
         this.set(this.KEYS.STREAK_DATA, data);
     },
 
+    /**
+     * Get the streak rule saved from the streak panel
+     * @returns {Object} Settings with rule, minutes, restWeekdays and restDates (empty if never changed)
+     */
+    getStreakSettings() {
+        return this.get(this.KEYS.STREAK_SETTINGS, {});
+    },
+
+    /**
+     * Save the streak rule from the streak panel
+     * @param {Object} settings - Settings with rule, minutes, restWeekdays and restDates
+     */
+    setStreakSettings(settings) {
+        this.set(this.KEYS.STREAK_SETTINGS, settings);
+    },
+
     // =============================
     // Timer Data Methods
     // =============================
@@ -134,14 +211,65 @@ const Storage = {
         this.set(this.KEYS.TIMER_DATA, data);
     },
 
+    /**
+     * Get timer settings saved from the settings panel
+     * @returns {Object} Settings (empty if never changed)
+     */
+    getTimerSettings() {
+        return this.get(this.KEYS.TIMER_SETTINGS, {});
+    },
+
+    /**
+     * Save timer settings from the settings panel
+     * @param {Object} settings - Durations (minutes), sessionsPerCycle and auto-start toggles
+     */
+    setTimerSettings(settings) {
+        this.set(this.KEYS.TIMER_SETTINGS, settings);
+    },
+
+    /**
+     * Get ambient sound settings
+     * @returns {Object} Settings with sound (key or 'off') and volume (0-1)
+     */
+    getAmbientSettings() {
+        return this.get(this.KEYS.AMBIENT_SETTINGS, {
+            sound: 'off',
+            volume: 0.4
+        });
+    },
+
+    /**
+     * Save ambient sound settings
+     * @param {Object} settings - Settings with sound and volume
+     */
+    setAmbientSettings(settings) {
+        this.set(this.KEYS.AMBIENT_SETTINGS, settings);
+    },
+
+    /**
+     * Get the saved running/paused timer state
+     * @returns {Object|null} Timer state with mode, isRunning, isPaused, timeRemaining, startTime, endTime and duration
+     */
+    getTimerState() {
+        return this.get(this.KEYS.TIMER_STATE, null);
+    },
+
+    /**
+     * Save the running/paused timer state
+     * @param {Object} state - Timer state
+     */
+    setTimerState(state) {
+        this.set(this.KEYS.TIMER_STATE, state);
+    },
+
     /**
      * Increment session count
      */
     incrementSession() {
         const data = this.getTimerData();
-        const today = new Date().toDateString();
+        const today = StudyDay.today();
 
-        // Reset daily count if it's a new day
+        // Reset daily count if it's a new study day
         if (data.lastSession !== today) {
             data.sessionsToday = 0;
         }
@@ -163,31 +291,207 @@ const Storage = {
         this.setTimerData(data);
     },
 
+    // =============================
+    // Session Log Methods
+    // =============================
+
+    /**
+     * Get every logged study session
+     * @returns {Array} Session records as { id, start, end, durationMinutes, mode, label }, oldest first
+     */
+    getSessionLog() {
+        return this.get(this.KEYS.SESSION_LOG, []);
+    },
+
+    /**
+     * Save the session log
+     * @param {Array} log - Session records
+     */
+    setSessionLog(log) {
+        this.set(this.KEYS.SESSION_LOG, log);
+    },
+
+    /**
+     * Log a finished study session
+     * @param {Object} record - Session record without an id
+     * @returns {Object} Saved record
+     */
+    addSessionRecord(record) {
+        const log = this.getSessionLog();
+        const saved = { id: `s${Date.now().toString(36)}${log.length}`, ...record };
+        log.push(saved);
+        log.sort((a, b) => a.start.localeCompare(b.start));
+        this.setSessionLog(log);
+        return saved;
+    },
+
+    /**
+     * Update a logged session
+     * @param {string} id - Session ID
+     * @param {Object} changes - Fields to change
+     * @returns {Object|null} Updated record, or null if not found
+     */
+    updateSessionRecord(id, changes) {
+        const log = this.getSessionLog();
+        const record = log.find(r => r.id === id);
+        if (!record) return null;
+
+        Object.assign(record, changes);
+        log.sort((a, b) => a.start.localeCompare(b.start));
+        this.setSessionLog(log);
+        return record;
+    },
+
+    /**
+     * Delete a logged session
+     * @param {string} id - Session ID
+     * @returns {Object|null} Deleted record, or null if not found
+     */
+    deleteSessionRecord(id) {
+        const log = this.getSessionLog();
+        const index = log.findIndex(r => r.id === id);
+        if (index < 0) return null;
+
+        const [record] = log.splice(index, 1);
+        this.setSessionLog(log);
+        return record;
+    },
+
+    /**
+     * Get the label picked for the next session
+     * @returns {string} Label (empty if none)
+     */
+    getSessionLabel() {
+        return this.get(this.KEYS.SESSION_LABEL, '');
+    },
+
+    /**
+     * Save the label picked for the next session
+     * @param {string} label - Label
+     */
+    setSessionLabel(label) {
+        this.set(this.KEYS.SESSION_LABEL, label);
+    },
+
+    // =============================
+    // Study Goal Methods
+    // =============================
+
+    /**
+     * Get study-time goals saved from the goals panel
+     * @returns {Object} Goals with dailyMinutes and weeklyMinutes (empty if never changed)
+     */
+    getGoalSettings() {
+        return this.get(this.KEYS.GOAL_SETTINGS, {});
+    },
+
+    /**
+     * Save study-time goals from the goals panel
+     * @param {Object} goals - Goals with dailyMinutes and weeklyMinutes
+     */
+    setGoalSettings(goals) {
+        this.set(this.KEYS.GOAL_SETTINGS, goals);
+    },
+
+    // =============================
+    // Activity Log Methods
+    // =============================
+
+    /**
+     * Get the per-day activity log
+     * @returns {Object} Day entries by date key (minutes, sessions, labels, questions, graded, correct, sections)
+     */
+    getActivityLog() {
+        return this.get(this.KEYS.ACTIVITY_LOG, {});
+    },
+
+    /**
+     * Save the per-day activity log
+     * @param {Object} log - Day entries by date key
+     */
+    setActivityLog(log) {
+        this.set(this.KEYS.ACTIVITY_LOG, log);
+    },
+
+    // =============================
+    // Achievement Methods
+    // =============================
+
+    /**
+     * Get unlocked achievements
+     * @returns {Object} ISO date earned by badge ID
+     */
+    getAchievements() {
+        return this.get(this.KEYS.ACHIEVEMENTS, {});
+    },
+
+    /**
+     * Save unlocked achievements
+     * @param {Object} achievements - ISO date earned by badge ID
+     */
+    setAchievements(achievements) {
+        this.set(this.KEYS.ACHIEVEMENTS, achievements);
+    },
+
     // =============================
     // Question Data Methods
     // =============================
 
     /**
      * Get answered questions
-     * @returns {Object} Object with question IDs as keys and dates as values
+     * @returns {Object} Object with question IDs as keys and answer records as values
      */
     getAnsweredQuestions() {
         return this.get(this.KEYS.ANSWERED_QUESTIONS, {});
     },
 
     /**
-     * Mark question as answered
-     * @param {number} questionId - Question ID
+     * Get the answer record for a single question
+     * @param {number|string} questionId - Question ID
+     * @returns {Object|null} Record with firstAnswered, lastAnswered and attempts, or null
      */
-    markQuestionAnswered(questionId) {
+    getQuestionRecord(questionId) {
+        return this.getAnsweredQuestions()[questionId] || null;
+    },
+
+    /**
+     * Record an answer attempt for a question
+     * @param {number|string} questionId - Question ID
+     * @param {string|null} choice - Picked choice letter, or null for free-text questions
+     * @param {boolean|null} correct - Whether the pick was right, or null if ungraded
+     * @param {Object} details - Extra attempt fields (e.g. source, timeSpent)
+     * @returns {Object} The stored attempt
+     */
+    recordAnswer(questionId, choice = null, correct = null, details = {}) {
         const answered = this.getAnsweredQuestions();
-        answered[questionId] = new Date().toISOString();
+        const now = new Date().toISOString();
+        const record = answered[questionId] || {
+            firstAnswered: now,
+            lastAnswered: now,
+            attempts: []
+        };
+
+        const attempt = { date: now, choice, correct, ...details };
+        record.attempts.push(attempt);
+        record.lastAnswered = now;
+
+        answered[questionId] = record;
         this.set(this.KEYS.ANSWERED_QUESTIONS, answered);
+
+        return attempt;
+    },
+
+    /**
+     * Mark question as answered (ungraded, e.g. a free-text answer was revealed)
+     * @param {number|string} questionId - Question ID
+     */
+    markQuestionAnswered(questionId) {
+        this.recordAnswer(questionId);
     },
 
     /**
      * Check if question was answered
-     * @param {number} questionId - Question ID
+     * @param {number|string} questionId - Question ID
      * @returns {boolean} True if answered
      */
     isQuestionAnswered(questionId) {
@@ -195,6 +499,214 @@ const Storage = {
         return !!answered[questionId];
     },
 
+    /**
+     * Get bookmarked and flagged questions
+     * @returns {Object} Object with question IDs as keys and { bookmarked, flagged } dates as values
+     */
+    getBookmarks() {
+        return this.get(this.KEYS.BOOKMARKS, {});
+    },
+
+    /**
+     * Toggle a bookmark or review flag on a question
+     * @param {number|string} questionId - Question ID
+     * @param {string} kind - 'bookmarked' or 'flagged'
+     * @returns {boolean} True if the mark is now set
+     */
+    toggleBookmark(questionId, kind) {
+        const bookmarks = this.getBookmarks();
+        const entry = bookmarks[questionId] || { bookmarked: null, flagged: null };
+
+        entry[kind] = entry[kind] ? null : new Date().toISOString();
+
+        if (entry.bookmarked || entry.flagged) {
+            bookmarks[questionId] = entry;
+        } else {
+            delete bookmarks[questionId];
+        }
+
+        this.set(this.KEYS.BOOKMARKS, bookmarks);
+        return !!entry[kind];
+    },
+
+    /**
+     * Check if a question has a bookmark or review flag
+     * @param {number|string} questionId - Question ID
+     * @param {string} kind - 'bookmarked' or 'flagged'
+     * @returns {boolean} True if the mark is set
+     */
+    isBookmarked(questionId, kind) {
+        const entry = this.getBookmarks()[questionId];
+        return !!(entry && entry[kind]);
+    },
+
+    /**
+     * Get all journal entries
+     * @returns {Object} Object with question IDs as keys and { note, category, updated } as values
+     */
+    getJournal() {
+        return this.get(this.KEYS.JOURNAL, {});
+    },
+
+    /**
+     * Get the journal entry for a question
+     * @param {number|string} questionId - Question ID
+     * @returns {Object|null} Entry, or null if none
+     */
+    getJournalEntry(questionId) {
+        return this.getJournal()[questionId] || null;
+    },
+
+    /**
+     * Save (or clear) the journal entry for a question
+     * @param {number|string} questionId - Question ID
+     * @param {string} note - Free-text note
+     * @param {string} category - Mistake category key, or '' for none
+     */
+    saveJournalEntry(questionId, note, category) {
+        const journal = this.getJournal();
+
+        if (!note.trim() && !category) {
+            delete journal[questionId];
+        } else {
+            journal[questionId] = {
+                note: note.trim(),
+                category,
+                updated: new Date().toISOString()
+            };
+        }
+
+        this.set(this.KEYS.JOURNAL, journal);
+    },
+
+    // =============================
+    // Review Schedule Methods
+    // =============================
+
+    /**
+     * Get spaced-repetition cards
+     * @returns {Object} Object with question IDs as keys and schedule cards as values
+     */
+    getReviewSchedule() {
+        return this.get(this.KEYS.REVIEW_SCHEDULE, {});
+    },
+
+    /**
+     * Save spaced-repetition cards
+     * @param {Object} schedule - Schedule cards keyed by question ID
+     */
+    setReviewSchedule(schedule) {
+        this.set(this.KEYS.REVIEW_SCHEDULE, schedule);
+    },
+
+    /**
+     * Get the stored daily pick
+     * @returns {Object|null} Pick with date, questionId and reviewQueue, or null
+     */
+    getDailyPick() {
+        return this.get(this.KEYS.DAILY_PICK, null);
+    },
+
+    /**
+     * Save the daily pick
+     * @param {Object} pick - Pick with date, questionId and reviewQueue
+     */
+    setDailyPick(pick) {
+        this.set(this.KEYS.DAILY_PICK, pick);
+    },
+
+    // =============================
+    // Practice Section Methods
+    // =============================
+
+    /**
+     * Get completed practice sections
+     * @returns {Array} Section records, oldest first
+     */
+    getSectionHistory() {
+        return this.get(this.KEYS.SECTION_HISTORY, []);
+    },
+
+    /**
+     * Save a completed practice section
+     * @param {Object} record - Section record
+     */
+    addSectionRecord(record) {
+        const history = this.getSectionHistory();
+        history.push(record);
+        this.set(this.KEYS.SECTION_HISTORY, history);
+    },
+
+    // =============================
+    // Blind Review Methods
+    // =============================
+
+    /**
+     * Get blind review data
+     * @returns {Object} Blind review data with enabled, pending and completed
+     */
+    getBlindReview() {
+        return this.get(this.KEYS.BLIND_REVIEW, {
+            enabled: false,
+            pending: {},
+            completed: []
+        });
+    },
+
+    /**
+     * Save blind review data
+     * @param {Object} data - Blind review data
+     */
+    setBlindReview(data) {
+        this.set(this.KEYS.BLIND_REVIEW, data);
+    },
+
+    // =============================
+    // Question Editor Methods
+    // =============================
+
+    /**
+     * Get unpublished question edits
+     * @returns {Object} Drafts with edited (question ID: question) and deleted (question IDs)
+     */
+    getQuestionDrafts() {
+        return this.get(this.KEYS.QUESTION_DRAFTS, {
+            edited: {},
+            deleted: []
+        });
+    },
+
+    /**
+     * Save unpublished question edits
+     * @param {Object} drafts - Drafts with edited and deleted
+     */
+    setQuestionDrafts(drafts) {
+        this.set(this.KEYS.QUESTION_DRAFTS, drafts);
+    },
+
+    // =============================
+    // Question Pack Methods
+    // =============================
+
+    /**
+     * Get imported question packs and which packs are switched off
+     * @returns {Object} Packs data with imported (packs) and disabled (pack IDs)
+     */
+    getQuestionPacks() {
+        return this.get(this.KEYS.QUESTION_PACKS, {
+            imported: [],
+            disabled: []
+        });
+    },
+
+    /**
+     * Save question packs data
+     * @param {Object} data - Packs data with imported and disabled
+     */
+    setQuestionPacks(data) {
+        this.set(this.KEYS.QUESTION_PACKS, data);
+    },
+
     // =============================
     // Message Data Methods
     // =============================
@@ -240,44 +752,115 @@ const Storage = {
     migrate(fromVersion, toVersion) {
         console.log(`Migrating data from ${fromVersion} to ${toVersion}`);
 
-        // Add migration logic here when needed
-        // For now, just update the version
+        // 1.0.0 stored a single ISO timestamp per answered question
+        this.migrateAnsweredQuestions();
+
+        // 1.1.0 stored the last session day as a Date.toDateString() string
+        this.migrateTimerData();
+
+        // 1.1.0 counted the streak from visits, with no history behind it
+        this.migrateStreakData();
+
         this.set(this.KEYS.VERSION, toVersion);
     },
 
+    /**
+     * Convert timestamp-only answered questions into answer records
+     */
+    migrateAnsweredQuestions() {
+        const answered = this.getAnsweredQuestions();
+
+        Object.keys(answered).forEach(questionId => {
+            const value = answered[questionId];
+            if (typeof value === 'string') {
+                answered[questionId] = {
+                    firstAnswered: value,
+                    lastAnswered: value,
+                    attempts: [{ date: value, choice: null, correct: null }]
+                };
+            }
+        });
+
+        this.set(this.KEYS.ANSWERED_QUESTIONS, answered);
+    },
+
+    /**
+     * Convert the last session day to a date key so today's session count carries over
+     */
+    migrateTimerData() {
+        const data = this.getTimerData();
+
+        if (data.lastSession && !/^\d{4}-\d{2}-\d{2}$/.test(data.lastSession)) {
+            data.lastSession = StudyDay.formatKey(data.lastSession);
+            this.setTimerData(data);
+        }
+    },
+
+    /**
+     * Keep a visit-counted streak as a legacy run for the history-based streak to build on
+     */
+    migrateStreakData() {
+        const data = this.get(this.KEYS.STREAK_DATA);
+
+        if (data && data.lastVisit && data.lastStudyDay === undefined && !data.legacy) {
+            data.legacy = {
+                currentStreak: data.currentStreak || 0,
+                longestStreak: data.longestStreak || 0,
+                totalDays: data.totalDays || 0,
+                lastDay: StudyDay.formatKey(data.lastVisit)
+            };
+            this.setStreakData(data);
+        }
+    },
+
     // =============================
     // Utility Methods
     // =============================
 
     /**
-     * Get today's date string (for comparison)
-     * @returns {string} Date string
+     * Get today's study day (for comparison)
+     * @returns {string} Date key (YYYY-MM-DD)
      */
     getTodayString() {
-        return new Date().toDateString();
+        return StudyDay.today();
+    },
+
+    /**
+     * Get the sortable study day key (YYYY-MM-DD) a moment belongs to
+     * @param {Date|string} date - Date to convert (defaults to now)
+     * @returns {string} Date key
+     */
+    getDateKey(date = new Date()) {
+        return StudyDay.getKey(date);
+    },
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} New date key
+     */
+    addDaysToKey(dateKey, days) {
+        return StudyDay.addDays(dateKey, days);
     },
 
     /**
-     * Check if a date is today
+     * Check if a date falls on today's study day
      * @param {string} dateString - Date string to check
      * @returns {boolean} True if date is today
      */
     isToday(dateString) {
-        if (!dateString) return false;
-        return new Date(dateString).toDateString() === this.getTodayString();
+        return StudyDay.isToday(dateString);
     },
 
     /**
-     * Get days between two dates
+     * Get study days between two dates
      * @param {Date|string} date1 - First date
      * @param {Date|string} date2 - Second date
      * @returns {number} Number of days
      */
     getDaysBetween(date1, date2) {
-        const d1 = new Date(date1);
-        const d2 = new Date(date2);
-        const diffTime = Math.abs(d2 - d1);
-        return Math.floor(diffTime / (1000 * 60 * 60 * 24));
+        return Math.abs(StudyDay.daysBetween(StudyDay.getKey(date1), StudyDay.getKey(date2)));
     },
 
     /**
@@ -1,6 +1,7 @@
 /**
  * Study Streak Tracker
- * Tracks daily visit streaks and study statistics
+ * Counts consecutive days that meet a configurable study rule, recomputed from stored history,
+ * with planned rest days and earnable freezes that cover a missed day
  */
 
 const Streak = {
@@ -9,21 +10,93 @@ const Streak = {
         currentStreak: null,
         longestStreak: null,
         totalDays: null,
-        flame: null
+        freezes: null,
+        flame: null,
+        ruleText: null,
+        dayStrip: null,
+        ruleSelect: null,
+        minutesInput: null,
+        restWeekdayInputs: null,
+        restDatesInput: null,
+        applyBtn: null
+    },
+
+    // What makes a day count (key: description)
+    RULES: {
+        session: 'Finish at least one study session',
+        minutes: 'Study for at least a set number of minutes',
+        challenge: 'Answer today\'s challenge',
+        goal: 'Meet the daily study time goal'
+    },
+
+    // How each recent day is shown on the streak card (status: [icon, description])
+    DAY_STATUSES: {
+        studied: ['🔥', 'Studied'],
+        rest: ['😴', 'Rest day'],
+        frozen: ['🧊', 'Covered by a streak freeze'],
+        missed: ['▫️', 'Missed'],
+        pending: ['⏳', 'Today (not counted yet)']
+    },
+
+    // Days shown on the streak card
+    STRIP_DAYS: 14,
+
+    // Streak rule - will be set from config and the streak settings panel
+    settings: {
+        rule: 'session',
+        minutes: 30,
+        restWeekdays: [], // 0 = Sunday ... 6 = Saturday
+        restDates: [], // Date keys (YYYY-MM-DD)
+        freezeEveryDays: 7, // Study days needed to earn a freeze
+        maxFreezes: 2 // Most freezes that can be saved up
     },
 
     // Streak data
     data: null,
 
+    // Status of each day from the first study day to today (date key: status)
+    dayStatuses: {},
+
     /**
      * Initialize streak tracker
+     * @param {Object} streakConfig - config.json streak settings
      */
-    init() {
+    init(streakConfig = {}) {
         // Cache DOM elements
         this.elements.currentStreak = document.getElementById('currentStreak');
         this.elements.longestStreak = document.getElementById('longestStreak');
         this.elements.totalDays = document.getElementById('totalDays');
+        this.elements.freezes = document.getElementById('streakFreezes');
         this.elements.flame = document.querySelector('.streak-flame');
+        this.elements.ruleText = document.getElementById('streakRule');
+        this.elements.dayStrip = document.getElementById('streakDays');
+        this.elements.ruleSelect = document.getElementById('streakRuleSelect');
+        this.elements.minutesInput = document.getElementById('streakMinutes');
+        this.elements.restWeekdayInputs = document.querySelectorAll('.streak-rest-weekdays input');
+        this.elements.restDatesInput = document.getElementById('streakRestDates');
+        this.elements.applyBtn = document.getElementById('applyStreakRule');
+
+        // Settings saved from the streak panel take priority over config.json
+        this.settings = { ...this.settings, ...streakConfig, ...Storage.getStreakSettings() };
+        if (!this.RULES[this.settings.rule]) {
+            this.settings.rule = 'session';
+        }
+
+        Object.entries(this.RULES).forEach(([key, label]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            this.elements.ruleSelect.appendChild(option);
+        });
+        this.elements.ruleSelect.value = this.settings.rule;
+        this.elements.minutesInput.value = this.settings.minutes;
+        this.elements.restWeekdayInputs.forEach(input => {
+            input.checked = this.settings.restWeekdays.includes(Number(input.value));
+        });
+        this.elements.restDatesInput.value = this.settings.restDates.join(', ');
+
+        // Set up event listeners
+        this.setupEventListeners();
 
         // Load and update streak
         this.loadStreak();
@@ -31,6 +104,53 @@ const Streak = {
         this.updateDisplay();
     },
 
+    /**
+     * Set up event listeners
+     */
+    setupEventListeners() {
+        this.elements.applyBtn.addEventListener('click', () => this.applySettings());
+
+        // Update as soon as today starts to count
+        document.addEventListener('sessionLogChanged', () => this.refresh());
+        document.addEventListener('questionAnswered', () => this.refresh());
+        document.addEventListener('dailyGoalMet', () => this.refresh());
+
+        // Keep other open tabs in step
+        window.addEventListener('storage', (e) => {
+            if (e.key === Storage.KEYS.SESSION_LOG || e.key === Storage.KEYS.ANSWERED_QUESTIONS) {
+                this.refresh();
+            }
+        });
+    },
+
+    /**
+     * Save the streak rule from the streak panel and recompute
+     */
+    applySettings() {
+        const minutes = parseInt(this.elements.minutesInput.value);
+        if (!(minutes > 0)) return;
+
+        const restDates = this.elements.restDatesInput.value
+            .split(/[\s,]+/)
+            .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+        const restWeekdays = Array.from(this.elements.restWeekdayInputs)
+            .filter(input => input.checked)
+            .map(input => Number(input.value));
+
+        const saved = { rule: this.elements.ruleSelect.value, minutes, restWeekdays, restDates };
+        this.settings = { ...this.settings, ...saved };
+        Storage.setStreakSettings(saved);
+        this.elements.restDatesInput.value = restDates.join(', ');
+        this.checkStreak();
+        this.updateDisplay();
+
+        // Show confirmation
+        this.elements.applyBtn.textContent = '✓ Applied!';
+        setTimeout(() => {
+            this.elements.applyBtn.textContent = 'Apply';
+        }, 2000);
+    },
+
     /**
      * Load streak data from storage
      */
@@ -39,72 +159,155 @@ const Streak = {
     },
 
     /**
-     * Check and update streak based on last visit
+     * Recompute the streak from history without celebrating
      */
     checkStreak() {
-        const today = Storage.getTodayString();
-        const lastVisit = this.data.lastVisit;
+        this.data = { ...this.data, ...this.compute(), lastVisit: new Date().toISOString() };
+        this.saveStreak();
+    },
 
-        // If this is the first visit
-        if (!lastVisit) {
-            this.startStreak();
-            return;
-        }
+    /**
+     * Recompute the streak after new activity, celebrating if today just started to count
+     */
+    refresh() {
+        const before = this.data.currentStreak;
+        const today = StudyDay.today();
+        const counted = this.data.lastStudyDay === today;
+
+        this.data = { ...this.data, ...this.compute() };
+        this.saveStreak();
+        this.updateDisplay();
 
-        // If already visited today, do nothing
-        if (Storage.isToday(lastVisit)) {
-            return;
+        if (!counted && this.data.lastStudyDay === today && this.data.currentStreak > before) {
+            this.celebrateMilestone(this.data.currentStreak);
         }
+    },
 
-        // Calculate days since last visit
-        const daysSinceLastVisit = Storage.getDaysBetween(lastVisit, today);
+    /**
+     * Get every day that meets the streak rule
+     * @returns {Set} Date keys (YYYY-MM-DD)
+     */
+    getStudyDays() {
+        const days = new Set();
+        const sessions = SessionLog.getSessions();
 
-        if (daysSinceLastVisit === 1) {
-            // Visited yesterday - continue streak
-            this.incrementStreak();
-        } else if (daysSinceLastVisit > 1) {
-            // Missed a day - reset streak
-            this.resetStreak();
+        switch (this.settings.rule) {
+            case 'minutes': {
+                const minutesByDay = {};
+                sessions.forEach(record => {
+                    const key = StudyDay.getKey(record.start);
+                    minutesByDay[key] = (minutesByDay[key] || 0) + record.durationMinutes;
+                });
+                Object.keys(minutesByDay)
+                    .filter(key => minutesByDay[key] >= this.settings.minutes)
+                    .forEach(key => days.add(key));
+                break;
+            }
+
+            case 'challenge':
+                Object.values(Storage.getAnsweredQuestions()).forEach(record => {
+                    record.attempts.forEach(attempt => {
+                        // Answers from before challenge tagging count if made in the Daily Challenge card
+                        const isChallenge = attempt.challenge === undefined
+                            ? attempt.source === 'daily'
+                            : attempt.challenge;
+                        if (isChallenge) days.add(StudyDay.getKey(attempt.date));
+                    });
+                });
+                break;
+
+            case 'goal':
+                sessions.forEach(record => {
+                    const key = StudyDay.getKey(record.start);
+                    if (Goals.isDailyGoalMet(key)) days.add(key);
+                });
+                break;
+
+            default:
+                // Finished sessions only; ones stopped early don't count
+                sessions
+                    .filter(record => !record.partial)
+                    .forEach(record => days.add(StudyDay.getKey(record.start)));
         }
+
+        return days;
     },
 
     /**
-     * Start a new streak
+     * Check if a day is a planned rest day
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {boolean} True if the weekday or date is set as a rest day
      */
-    startStreak() {
-        this.data.currentStreak = 1;
-        this.data.longestStreak = Math.max(1, this.data.longestStreak);
-        this.data.totalDays = 1;
-        this.data.lastVisit = new Date().toISOString();
-        this.saveStreak();
-        this.celebrateMilestone(1);
+    isRestDay(dateKey) {
+        const weekday = StudyDay.getWeekday(dateKey);
+        return this.settings.restWeekdays.includes(weekday) || this.settings.restDates.includes(dateKey);
     },
 
     /**
-     * Increment current streak
+     * Work out the streaks by walking every day from the first study day to today
+     * Rest days and frozen days keep a streak alive without adding to it. A freeze is
+     * earned every freezeEveryDays study days in a row and used up on the next missed day.
+     * A streak stays alive through today until the day is over. A legacy streak from before
+     * the upgrade counts as study days, and its total days are carried over.
+     * @returns {Object} currentStreak, longestStreak, totalDays, lastStudyDay and freezes
      */
-    incrementStreak() {
-        this.data.currentStreak++;
-        this.data.totalDays++;
-        this.data.lastVisit = new Date().toISOString();
+    compute() {
+        const days = this.getStudyDays();
+        const legacy = this.data.legacy;
 
-        // Update longest streak if current is higher
-        if (this.data.currentStreak > this.data.longestStreak) {
-            this.data.longestStreak = this.data.currentStreak;
+        // A streak from before days were tracked carries on from its last day
+        if (legacy) {
+            for (let i = 0; i < legacy.currentStreak; i++) {
+                days.add(StudyDay.addDays(legacy.lastDay, -i));
+            }
         }
 
-        this.saveStreak();
-        this.celebrateMilestone(this.data.currentStreak);
-    },
+        const sorted = [...days].sort();
+        const today = StudyDay.today();
 
-    /**
-     * Reset streak to 1
-     */
-    resetStreak() {
-        this.data.currentStreak = 1;
-        this.data.totalDays++;
-        this.data.lastVisit = new Date().toISOString();
-        this.saveStreak();
+        let current = 0;
+        let longest = 0;
+        let freezes = 0;
+        let towardFreeze = 0;
+        this.dayStatuses = {};
+
+        for (let key = sorted[0]; key && key <= today; key = StudyDay.addDays(key, 1)) {
+            let status;
+
+            if (days.has(key)) {
+                status = 'studied';
+                current++;
+                towardFreeze++;
+                if (towardFreeze >= this.settings.freezeEveryDays) {
+                    freezes = Math.min(freezes + 1, this.settings.maxFreezes);
+                    towardFreeze = 0;
+                }
+            } else if (key === today) {
+                status = 'pending';
+            } else if (this.isRestDay(key)) {
+                status = 'rest';
+            } else if (current > 0 && freezes > 0) {
+                status = 'frozen';
+                freezes--;
+            } else {
+                status = 'missed';
+                current = 0;
+                towardFreeze = 0;
+            }
+
+            this.dayStatuses[key] = status;
+            longest = Math.max(longest, current);
+        }
+
+        return {
+            currentStreak: current,
+            longestStreak: Math.max(longest, this.data.longestStreak || 0), // Never lose a record
+            totalDays: legacy
+                ? legacy.totalDays + sorted.filter(key => key > legacy.lastDay).length
+                : days.size,
+            lastStudyDay: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+            freezes
+        };
     },
 
     /**
@@ -121,9 +324,45 @@ const Streak = {
         this.elements.currentStreak.textContent = this.data.currentStreak;
         this.elements.longestStreak.textContent = this.data.longestStreak;
         this.elements.totalDays.textContent = this.data.totalDays;
+        this.elements.freezes.textContent = this.data.freezes || 0;
+
+        // Describe the rule and whether today counts yet
+        const rule = this.settings.rule === 'minutes'
+            ? `Study for at least ${this.settings.minutes} minutes`
+            : this.RULES[this.settings.rule];
+        const today = StudyDay.today();
+        if (this.data.lastStudyDay === today) {
+            this.elements.ruleText.textContent = `✅ Today counts! (${rule})`;
+        } else if (this.isRestDay(today)) {
+            this.elements.ruleText.textContent = '😴 Rest day - your streak is safe today';
+        } else {
+            this.elements.ruleText.textContent = `To count today: ${rule.charAt(0).toLowerCase()}${rule.slice(1)}`;
+        }
 
         // Update flame based on streak
         this.updateFlame();
+        this.renderDayStrip();
+    },
+
+    /**
+     * Show the last few days as studied, rest, frozen or missed
+     */
+    renderDayStrip() {
+        const today = StudyDay.today();
+        this.elements.dayStrip.innerHTML = '';
+
+        for (let i = this.STRIP_DAYS - 1; i >= 0; i--) {
+            const key = StudyDay.addDays(today, -i);
+            const status = this.dayStatuses[key] || (key === today ? 'pending' : this.isRestDay(key) ? 'rest' : 'missed');
+            const [icon, description] = this.DAY_STATUSES[status];
+            const date = StudyDay.parseKey(key);
+
+            const marker = document.createElement('span');
+            marker.className = `streak-day ${status}`;
+            marker.textContent = icon;
+            marker.title = `${date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}: ${description}`;
+            this.elements.dayStrip.appendChild(marker);
+        }
     },
 
     /**
@@ -187,6 +426,7 @@ const Streak = {
 
     /**
      * Reset all streak data (for testing/debugging)
+     * The streak is rebuilt from history on the next check
      */
     resetAll() {
         this.data = {
@@ -194,6 +434,8 @@ const Streak = {
             longestStreak: 0,
             totalDays: 0,
             lastVisit: null,
+            lastStudyDay: null,
+            freezes: 0,
             startDate: new Date().toISOString()
         };
         this.saveStreak();
@@ -201,17 +443,12 @@ const Streak = {
     },
 
     /**
-     * Check if streak is at risk (last visit was today or yesterday)
+     * Check if streak is at risk (it is still alive from yesterday but today doesn't count yet
+     * and isn't a rest day)
      * @returns {boolean} True if streak is at risk
      */
     isStreakAtRisk() {
-        if (!this.data.lastVisit) return false;
-
-        const daysSinceLastVisit = Storage.getDaysBetween(
-            this.data.lastVisit,
-            new Date()
-        );
-
-        return daysSinceLastVisit === 0; // Same day, streak safe
+        const today = StudyDay.today();
+        return this.data.currentStreak > 0 && this.data.lastStudyDay !== today && !this.isRestDay(today);
     }
 };
@@ -0,0 +1,124 @@
+/**
+ * Study Day Calendar
+ * Maps times onto study days that start at a configurable rollover hour, with day math that
+ * works on calendar dates so DST changes and time zones never add or drop a day
+ */
+
+const StudyDay = {
+    // Hour (0-23) when a new study day starts - will be set from config
+    rolloverHour: 0,
+
+    /**
+     * Set when the study day rolls over
+     * @param {Object} studyDayConfig - config.json studyDay settings
+     */
+    configure(studyDayConfig = {}) {
+        const hour = Number(studyDayConfig.rolloverHour);
+        this.rolloverHour = Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 0;
+    },
+
+    /**
+     * Format a calendar date as a date key, ignoring the rollover hour
+     * @param {Date|string} date - Date to format
+     * @returns {string} Date key (YYYY-MM-DD) in local time
+     */
+    formatKey(date) {
+        const d = new Date(date);
+        const month = String(d.getMonth() + 1).padStart(2, '0');
+        const day = String(d.getDate()).padStart(2, '0');
+        return `${d.getFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Get the study day a moment belongs to, e.g. 1 AM counts toward the day before
+     * when the rollover hour is 4
+     * @param {Date|string} date - Moment (defaults to now)
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    getKey(date = new Date()) {
+        const d = new Date(date);
+        const key = this.formatKey(d);
+        return d.getHours() < this.rolloverHour ? this.addDays(key, -1) : key;
+    },
+
+    /**
+     * Get today's study day
+     * @returns {string} Date key (YYYY-MM-DD)
+     */
+    today() {
+        return this.getKey();
+    },
+
+    /**
+     * Check if a moment falls on today's study day
+     * @param {Date|string} date - Moment to check
+     * @returns {boolean} True if it counts toward today
+     */
+    isToday(date) {
+        if (!date) return false;
+        return this.getKey(date) === this.today();
+    },
+
+    /**
+     * Turn a date key into a local date for display
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date} Local midnight on that day
+     */
+    parseKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    },
+
+    /**
+     * Get the moment a study day begins
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {Date} Local time at the rollover hour on that day
+     */
+    startOf(dateKey) {
+        const date = this.parseKey(dateKey);
+        date.setHours(this.rolloverHour);
+        return date;
+    },
+
+    /**
+     * Get a date key as a UTC timestamp, where every day is exactly 24 hours long
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {number} Milliseconds at UTC midnight
+     */
+    toUTC(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    },
+
+    /**
+     * Add days to a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @param {number} days - Days to add (may be negative)
+     * @returns {string} New date key
+     */
+    addDays(dateKey, days) {
+        const d = new Date(this.toUTC(dateKey) + days * 86400000);
+        const month = String(d.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(d.getUTCDate()).padStart(2, '0');
+        return `${d.getUTCFullYear()}-${month}-${day}`;
+    },
+
+    /**
+     * Count study days from one date key to another
+     * @param {string} fromKey - Start date key
+     * @param {string} toKey - End date key
+     * @returns {number} Days (negative if toKey is earlier)
+     */
+    daysBetween(fromKey, toKey) {
+        return Math.round((this.toUTC(toKey) - this.toUTC(fromKey)) / 86400000);
+    },
+
+    /**
+     * Get the weekday of a date key
+     * @param {string} dateKey - Date key (YYYY-MM-DD)
+     * @returns {number} 0 = Sunday ... 6 = Saturday
+     */
+    getWeekday(dateKey) {
+        return new Date(this.toUTC(dateKey)).getUTCDay();
+    }
+};
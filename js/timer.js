@@ -1,6 +1,6 @@
 /**
  * Pomodoro Study Timer
- * Manages study sessions with configurable work/break intervals
+ * Manages study sessions with configurable work/break intervals, long-break cycles and a count-up flow mode
  */
 
 const Timer = {
@@ -10,11 +10,23 @@ const Timer = {
         startBtn: null,
         pauseBtn: null,
         resetBtn: null,
+        finishBtn: null,
         modeSelect: null,
         sessionsCount: null,
         circle: null,
+        cycleDots: null,
+        cycleLabel: null,
+        notice: null,
         workDurationInput: null,
         breakDurationInput: null,
+        longBreakDurationInput: null,
+        sessionsPerCycleInput: null,
+        autoStartBreaksInput: null,
+        autoStartWorkInput: null,
+        flowReminderInput: null,
+        chimeSelect: null,
+        awayNudgeInput: null,
+        strictModeInput: null,
         applySettingsBtn: null
     },
 
@@ -22,20 +34,71 @@ const Timer = {
     state: {
         isRunning: false,
         isPaused: false,
-        mode: 'work', // 'work' or 'break'
+        mode: 'work', // 'work', 'break', 'longBreak' or 'flow'
         timeRemaining: 25 * 60, // seconds
+        elapsed: 0, // Seconds studied so far in flow mode
+        cycleCount: 0, // Work sessions finished in the current cycle
         interval: null,
         startTime: null, // Track actual start time for accuracy
-        pausedTime: 0 // Track time spent paused
+        endTime: null,
+        duration: null, // Length of the current session, or of a flow break not yet started (seconds)
+        pausedTime: 0, // Track time spent paused (ms)
+        pausedAt: null, // When the current pause began
+        pauseCount: 0, // Pauses in the current session
+        remindersShown: 0, // Flow reminders shown in the current session
+        hiddenAt: null, // When the page was last hidden during a study session
+        awayTime: 0, // Time the page spent hidden this session (ms)
+        awayCount: 0, // Times the page was hidden this session
+        awayPaused: false, // Paused by strict mode while the page is hidden
+        awayPausedTime: 0 // Time strict mode kept the clock stopped (ms), counted as away rather than paused
     },
 
+    // Pending "come back" notification
+    nudgeTimeout: null,
+
+    // Shortest stopped-early work session that still counts (seconds)
+    MIN_PARTIAL_SECONDS: 60,
+
+    // Absences shorter than this are a switch to another tab of the app, which doesn't count as away (ms)
+    AWAY_HANDOFF_MS: 1000,
+
     // Timer durations (in seconds) - will be set from config
     durations: {
-        work: 25 * 60,  // 25 minutes (default)
-        break: 5 * 60   // 5 minutes (default)
+        work: 25 * 60,      // 25 minutes (default)
+        break: 5 * 60,      // 5 minutes (default)
+        longBreak: 15 * 60, // 15 minutes (default)
+        flow: 0             // Counts up, no fixed length
+    },
+
+    // Cycle options - will be set from config and the settings panel
+    options: {
+        sessionsPerCycle: 4,    // Long break after this many work sessions
+        autoStartBreaks: false, // Start breaks without waiting for Start
+        autoStartWork: false,   // Start the next work session without waiting for Start
+        flowReminderMinutes: 0, // Gentle reminder every this many minutes in flow mode (0 = off)
+        chime: 'beep',          // Completion chime (key of CHIMES)
+        awayNudgeSeconds: 0,    // Notify after this long on another tab during study (0 = off)
+        strictMode: false       // Pause study sessions while the page is hidden
+    },
+
+    // Labels for each mode
+    MODE_LABELS: {
+        work: 'Study',
+        break: 'Break',
+        longBreak: 'Long Break',
+        flow: 'Flow'
+    },
+
+    // Completion chimes: each note is [frequency (Hz), start (s), length (s)]
+    CHIMES: {
+        beep: { label: 'Classic beep', type: 'sine', volume: 0.3, notes: [[800, 0, 0.5]] },
+        bell: { label: 'Soft bell', type: 'sine', volume: 0.25, notes: [[1046.5, 0, 1.6], [2093, 0, 0.8]] },
+        rising: { label: 'Rising triad', type: 'triangle', volume: 0.25, notes: [[523.25, 0, 0.4], [659.25, 0.15, 0.4], [783.99, 0.3, 0.8]] },
+        marimba: { label: 'Marimba', type: 'sine', volume: 0.35, notes: [[659.25, 0, 0.3], [523.25, 0.2, 0.3], [659.25, 0.4, 0.5]] },
+        digital: { label: 'Digital double beep', type: 'square', volume: 0.08, notes: [[1200, 0, 0.12], [1200, 0.2, 0.12]] }
     },
 
-    // Audio for notifications (optional)
+    // Shared audio context for chimes and ambient sound (created on first use)
     audioContext: null,
 
     /**
@@ -47,11 +110,23 @@ const Timer = {
         this.elements.startBtn = document.getElementById('startTimer');
         this.elements.pauseBtn = document.getElementById('pauseTimer');
         this.elements.resetBtn = document.getElementById('resetTimer');
+        this.elements.finishBtn = document.getElementById('finishTimer');
         this.elements.modeSelect = document.getElementById('timerMode');
         this.elements.sessionsCount = document.getElementById('sessionsCount');
         this.elements.circle = document.getElementById('timerCircle');
+        this.elements.cycleDots = document.getElementById('timerCycleDots');
+        this.elements.cycleLabel = document.getElementById('timerCycleLabel');
+        this.elements.notice = document.getElementById('timerNotice');
         this.elements.workDurationInput = document.getElementById('workDuration');
         this.elements.breakDurationInput = document.getElementById('breakDuration');
+        this.elements.longBreakDurationInput = document.getElementById('longBreakDuration');
+        this.elements.sessionsPerCycleInput = document.getElementById('sessionsPerCycle');
+        this.elements.autoStartBreaksInput = document.getElementById('autoStartBreaks');
+        this.elements.autoStartWorkInput = document.getElementById('autoStartWork');
+        this.elements.flowReminderInput = document.getElementById('flowReminder');
+        this.elements.chimeSelect = document.getElementById('timerChime');
+        this.elements.awayNudgeInput = document.getElementById('awayNudge');
+        this.elements.strictModeInput = document.getElementById('strictMode');
         this.elements.applySettingsBtn = document.getElementById('applyTimerSettings');
 
         // Set up event listeners
@@ -60,15 +135,14 @@ const Timer = {
         // Load timer data
         this.loadTimerData();
 
+        // Pick up a session left running before a reload
+        this.restoreState();
+
         // Initial display
         this.updateDisplay();
 
-        // Update immediately when tab becomes visible (important for mobile Safari)
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && this.state.isRunning) {
-                this.tick(); // Immediately recalculate time
-            }
-        });
+        // Track time away, and update immediately when tab becomes visible (important for mobile Safari)
+        document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
     },
 
     /**
@@ -78,8 +152,34 @@ const Timer = {
         this.elements.startBtn.addEventListener('click', () => this.start());
         this.elements.pauseBtn.addEventListener('click', () => this.pause());
         this.elements.resetBtn.addEventListener('click', () => this.reset());
+        this.elements.finishBtn.addEventListener('click', () => this.finish());
         this.elements.modeSelect.addEventListener('change', (e) => this.changeMode(e.target.value));
 
+        // Keep every open tab on the same timer
+        window.addEventListener('storage', (e) => {
+            if (e.key === Storage.KEYS.TIMER_STATE) {
+                this.applyState(Storage.getTimerState());
+
+                // Another tab of the app was hidden while this one is in front, so nobody left
+                if (this.state.hiddenAt && !document.hidden) {
+                    this.handleVisibilityChange();
+                }
+            } else if (e.key === Storage.KEYS.TIMER_DATA) {
+                this.loadTimerData();
+            }
+        });
+
+        // Completion chime choices, previewed on change
+        if (this.elements.chimeSelect) {
+            Object.entries(this.CHIMES).forEach(([key, chime]) => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = chime.label;
+                this.elements.chimeSelect.appendChild(option);
+            });
+            this.elements.chimeSelect.addEventListener('change', (e) => this.playChime(e.target.value));
+        }
+
         // Timer settings
         if (this.elements.applySettingsBtn) {
             this.elements.applySettingsBtn.addEventListener('click', () => this.applySettings());
@@ -87,18 +187,65 @@ const Timer = {
     },
 
     /**
-     * Apply custom timer duration settings
+     * Apply durations and cycle options from config.json
+     * Settings saved from the settings panel take priority
+     * @param {Object} timerDurations - config.json timerDurations
+     */
+    configure(timerDurations = {}) {
+        const settings = { ...timerDurations, ...Storage.getTimerSettings() };
+
+        this.setCycleOptions(
+            settings.sessionsPerCycle || this.options.sessionsPerCycle,
+            settings.autoStartBreaks === undefined ? this.options.autoStartBreaks : settings.autoStartBreaks,
+            settings.autoStartWork === undefined ? this.options.autoStartWork : settings.autoStartWork
+        );
+        this.setDurations(
+            settings.workMinutes || this.durations.work / 60,
+            settings.breakMinutes || this.durations.break / 60,
+            settings.longBreakMinutes || this.durations.longBreak / 60
+        );
+        this.setFlowReminder(
+            settings.flowReminderMinutes === undefined ? this.options.flowReminderMinutes : settings.flowReminderMinutes
+        );
+        this.setChime(settings.chime || this.options.chime);
+        this.setFocusOptions(
+            settings.awayNudgeSeconds === undefined ? this.options.awayNudgeSeconds : settings.awayNudgeSeconds,
+            settings.strictMode === undefined ? this.options.strictMode : settings.strictMode
+        );
+    },
+
+    /**
+     * Apply custom timer settings from the settings panel
      */
     applySettings() {
         const workMinutes = parseInt(this.elements.workDurationInput.value);
         const breakMinutes = parseInt(this.elements.breakDurationInput.value);
+        const longBreakMinutes = parseInt(this.elements.longBreakDurationInput.value);
+        const sessionsPerCycle = parseInt(this.elements.sessionsPerCycleInput.value);
+        const flowReminderMinutes = parseInt(this.elements.flowReminderInput.value) || 0;
+        const awayNudgeSeconds = parseInt(this.elements.awayNudgeInput.value) || 0;
 
-        if (workMinutes > 0 && breakMinutes > 0) {
-            this.setDurations(workMinutes, breakMinutes);
+        if (workMinutes > 0 && breakMinutes > 0 && longBreakMinutes > 0 && sessionsPerCycle > 0 &&
+            flowReminderMinutes >= 0 && awayNudgeSeconds >= 0) {
+            const settings = {
+                workMinutes,
+                breakMinutes,
+                longBreakMinutes,
+                sessionsPerCycle,
+                autoStartBreaks: this.elements.autoStartBreaksInput.checked,
+                autoStartWork: this.elements.autoStartWorkInput.checked,
+                flowReminderMinutes,
+                chime: this.elements.chimeSelect.value,
+                awayNudgeSeconds,
+                strictMode: this.elements.strictModeInput.checked
+            };
 
-            // Update the select options display
-            this.elements.modeSelect.options[0].text = `Study (${workMinutes} min)`;
-            this.elements.modeSelect.options[1].text = `Break (${breakMinutes} min)`;
+            this.setCycleOptions(sessionsPerCycle, settings.autoStartBreaks, settings.autoStartWork);
+            this.setDurations(workMinutes, breakMinutes, longBreakMinutes);
+            this.setFlowReminder(flowReminderMinutes);
+            this.setChime(settings.chime);
+            this.setFocusOptions(awayNudgeSeconds, settings.strictMode);
+            Storage.setTimerSettings(settings);
 
             // Show confirmation
             this.elements.applySettingsBtn.textContent = '✓ Applied!';
@@ -116,6 +263,110 @@ const Timer = {
         this.elements.sessionsCount.textContent = data.sessionsToday;
     },
 
+    /**
+     * Save the running/paused state so reloads and other tabs can pick it up
+     */
+    saveState() {
+        this.notifyStateChange(false);
+        Storage.setTimerState({
+            mode: this.state.mode,
+            isRunning: this.state.isRunning,
+            isPaused: this.state.isPaused,
+            timeRemaining: this.state.timeRemaining,
+            startTime: this.state.startTime,
+            endTime: this.state.endTime,
+            duration: this.state.duration,
+            cycleCount: this.state.cycleCount,
+            pausedTime: this.state.pausedTime,
+            pausedAt: this.state.pausedAt,
+            pauseCount: this.state.pauseCount,
+            hiddenAt: this.state.hiddenAt,
+            awayTime: this.state.awayTime,
+            awayCount: this.state.awayCount,
+            awayPaused: this.state.awayPaused,
+            awayPausedTime: this.state.awayPausedTime
+        });
+    },
+
+    /**
+     * Restore the saved state on load
+     * A session whose end time passed while the page was closed counts as complete
+     */
+    restoreState() {
+        const saved = Storage.getTimerState();
+        if (!saved) return;
+
+        this.applyState(saved);
+
+        // Time with the page closed counts as time away
+        if (saved.hiddenAt && !document.hidden) {
+            this.handleVisibilityChange();
+        }
+
+        // Finish it once the rest of the app is listening for timerComplete
+        if (saved.isRunning && saved.mode !== 'flow' && saved.endTime <= Date.now()) {
+            setTimeout(() => this.complete(true), 0);
+        }
+    },
+
+    /**
+     * Match a saved state without saving it again
+     * @param {Object|null} saved - Saved timer state
+     */
+    applyState(saved) {
+        if (!saved) return;
+
+        if (this.state.interval) {
+            clearInterval(this.state.interval);
+            this.state.interval = null;
+        }
+
+        const mode = this.MODE_LABELS[saved.mode] ? saved.mode : 'work';
+        this.state.mode = mode;
+        this.state.isRunning = saved.isRunning;
+        this.state.isPaused = saved.isPaused;
+        this.state.startTime = saved.startTime;
+        this.state.endTime = saved.endTime;
+        this.state.duration = saved.duration;
+        this.state.cycleCount = saved.cycleCount || 0;
+        this.state.pausedTime = saved.pausedTime || 0;
+        this.state.pausedAt = saved.pausedAt || null;
+        this.state.pauseCount = saved.pauseCount || 0;
+        this.state.hiddenAt = saved.hiddenAt || null;
+        this.state.awayTime = saved.awayTime || 0;
+        this.state.awayCount = saved.awayCount || 0;
+        this.state.awayPaused = saved.awayPaused || false;
+        this.state.awayPausedTime = saved.awayPausedTime || 0;
+        this.state.timeRemaining = saved.startTime
+            ? saved.timeRemaining
+            : saved.duration || this.durations[mode]; // An earned flow break keeps its length
+        this.state.elapsed = this.getElapsedSeconds();
+        this.state.remindersShown = this.getRemindersDue();
+        this.elements.modeSelect.value = mode;
+
+        if (saved.isRunning) {
+            if (mode !== 'flow') {
+                this.state.timeRemaining = this.getSecondsLeft(saved.endTime);
+            }
+            this.state.interval = setInterval(() => this.tick(), 1000);
+        }
+
+        this.elements.startBtn.disabled = this.state.isRunning;
+        this.elements.pauseBtn.disabled = !this.state.isRunning;
+        this.updateDisplay();
+        this.notifyStateChange(true);
+    },
+
+    /**
+     * Let other modules know the timer started, stopped or changed mode
+     * @param {boolean} remote - True if the change came from another tab or a reload
+     */
+    notifyStateChange(remote) {
+        document.dispatchEvent(new CustomEvent('timerStateChange', {
+            detail: { mode: this.state.mode, isRunning: this.state.isRunning, remote }
+        }));
+    },
+
     /**
      * Start timer
      */
@@ -127,12 +378,21 @@ const Timer = {
 
         // Record start time (or resume time)
         if (!this.state.startTime) {
-            // First start - record the target end time
+            // First start - record the target end time (flow mode has none)
             this.state.startTime = Date.now();
-            this.state.endTime = this.state.startTime + (this.state.timeRemaining * 1000);
+            if (this.state.mode !== 'flow') {
+                this.state.endTime = this.state.startTime + (this.state.timeRemaining * 1000);
+                this.state.duration = this.state.timeRemaining;
+            }
         } else {
-            // Resuming from pause - adjust end time
-            this.state.endTime = Date.now() + (this.state.timeRemaining * 1000);
+            // Resuming from pause - adjust end time and add up the pause
+            if (this.state.mode !== 'flow') {
+                this.state.endTime = Date.now() + (this.state.timeRemaining * 1000);
+            }
+            if (this.state.pausedAt) {
+                this.state.pausedTime += Date.now() - this.state.pausedAt;
+                this.state.pausedAt = null;
+            }
         }
 
         // Update button states
@@ -141,6 +401,7 @@ const Timer = {
 
         // Start countdown
         this.state.interval = setInterval(() => this.tick(), 1000);
+        this.saveState();
     },
 
     /**
@@ -149,8 +410,23 @@ const Timer = {
     pause() {
         if (!this.state.isRunning) return;
 
-        this.state.isRunning = false;
+        this.stop();
         this.state.isPaused = true;
+        this.state.pausedAt = Date.now();
+        this.state.pauseCount++;
+        this.saveState();
+    },
+
+    /**
+     * Stop the countdown without counting it as a pause
+     */
+    stop() {
+        if (this.state.isRunning && this.state.mode === 'flow') {
+            this.state.elapsed = this.getElapsedSeconds();
+        } else if (this.state.isRunning) {
+            this.state.timeRemaining = this.getSecondsLeft(this.state.endTime);
+        }
+        this.state.isRunning = false;
 
         // Update button states
         this.elements.startBtn.disabled = false;
@@ -163,18 +439,39 @@ const Timer = {
         }
     },
 
+    /**
+     * Clear the timing state of the current session
+     */
+    clearSession() {
+        this.state.startTime = null;
+        this.state.endTime = null;
+        this.state.duration = null;
+        this.state.isPaused = false;
+        this.state.pausedTime = 0;
+        this.state.pausedAt = null;
+        this.state.pauseCount = 0;
+        this.state.elapsed = 0;
+        this.state.remindersShown = 0;
+        this.state.hiddenAt = null;
+        this.state.awayTime = 0;
+        this.state.awayCount = 0;
+        this.state.awayPaused = false;
+        this.state.awayPausedTime = 0;
+        clearTimeout(this.nudgeTimeout);
+        this.showNotice('');
+    },
+
     /**
      * Reset timer to current mode's duration
      */
     reset() {
-        // Stop timer
-        this.pause();
+        // Stop timer, keeping any study time already done
+        this.stop();
+        this.creditPartial();
 
         // Reset time and clear start time
         this.state.timeRemaining = this.durations[this.state.mode];
-        this.state.startTime = null;
-        this.state.endTime = null;
-        this.state.isPaused = false;
+        this.clearSession();
 
         // Update button states
         this.elements.startBtn.disabled = false;
@@ -182,38 +479,44 @@ const Timer = {
 
         // Update display
         this.updateDisplay();
+        this.saveState();
     },
 
     /**
-     * Change timer mode (work/break)
-     * @param {string} mode - 'work' or 'break'
+     * Change timer mode
+     * @param {string} mode - 'work', 'break', 'longBreak' or 'flow'
      */
     changeMode(mode) {
-        // Stop current timer
-        this.pause();
+        // Stop current timer, keeping any study time already done
+        this.stop();
+        this.creditPartial();
 
         // Update mode
         this.state.mode = mode;
         this.state.timeRemaining = this.durations[mode];
 
         // Reset timing state
-        this.state.startTime = null;
-        this.state.endTime = null;
-        this.state.isPaused = false;
+        this.clearSession();
 
         // Update display
         this.updateDisplay();
+        this.saveState();
     },
 
     /**
      * Timer tick (every second)
      */
     tick() {
-        // Calculate time remaining based on actual time (not just decrementing)
-        const now = Date.now();
-        const timeLeft = Math.max(0, Math.ceil((this.state.endTime - now) / 1000));
+        // Flow mode counts up from the start time and never completes on its own
+        if (this.state.mode === 'flow') {
+            this.state.elapsed = this.getElapsedSeconds();
+            this.updateDisplay();
+            this.checkFlowReminder();
+            return;
+        }
 
-        this.state.timeRemaining = timeLeft;
+        // Calculate time remaining based on actual time (not just decrementing)
+        this.state.timeRemaining = this.getSecondsLeft(this.state.endTime);
 
         // Update display
         this.updateDisplay();
@@ -224,38 +527,319 @@ const Timer = {
         }
     },
 
+    /**
+     * Get whole seconds left until an end time
+     * Based on the wall clock, so it stays accurate when intervals are throttled
+     * @param {number} endTime - Target end time (ms since epoch)
+     * @returns {number} Seconds remaining (never negative)
+     */
+    getSecondsLeft(endTime) {
+        return Math.max(0, Math.ceil((endTime - Date.now()) / 1000));
+    },
+
+    /**
+     * Track time spent on other tabs during a study session
+     * Strict mode pauses the session while the page is hidden and resumes it on return
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            if (!this.state.isRunning || !this.isStudyMode(this.state.mode)) return;
+
+            this.state.hiddenAt = Date.now();
+            this.state.awayCount++;
+
+            if (this.options.awayNudgeSeconds > 0) {
+                clearTimeout(this.nudgeTimeout);
+                this.nudgeTimeout = setTimeout(() => this.sendAwayNudge(), this.options.awayNudgeSeconds * 1000);
+            }
+
+            // Strict mode stops the clock; the gap counts as time away, not as a pause
+            if (this.options.strictMode) {
+                this.stop();
+                this.state.isPaused = true;
+                this.state.awayPaused = true;
+            }
+
+            this.saveState();
+            return;
+        }
+
+        clearTimeout(this.nudgeTimeout);
+
+        if (this.state.hiddenAt) {
+            const away = Date.now() - this.state.hiddenAt;
+            this.state.hiddenAt = null;
+
+            if (away < this.AWAY_HANDOFF_MS) {
+                this.state.awayCount = Math.max(0, this.state.awayCount - 1);
+            } else {
+                this.state.awayTime += away;
+            }
+
+            if (this.state.awayPaused) {
+                this.state.awayPaused = false;
+                this.state.awayPausedTime += away;
+                this.start();
+            } else {
+                this.saveState();
+            }
+        }
+
+        if (this.state.isRunning) {
+            this.tick(); // Immediately recalculate time
+        }
+    },
+
+    /**
+     * Nudge back to a study session left on another tab
+     */
+    sendAwayNudge() {
+        if (!document.hidden || !this.state.hiddenAt) return;
+
+        if ('Notification' in window && Notification.permission === 'granted') {
+            const seconds = Math.round((Date.now() - this.state.hiddenAt) / 1000);
+            new Notification('Still studying?', {
+                body: this.state.awayPaused
+                    ? `Your study session is paused until you come back (${seconds}s away).`
+                    : `You've been away from your study session for ${seconds} seconds.`
+            });
+        }
+    },
+
+    /**
+     * Get time away from the page this session, including an absence still under way
+     * @param {number} now - Current time (ms since epoch)
+     * @returns {Object} Away summary with awaySeconds and awayCount
+     */
+    getAwayTotals(now) {
+        const ongoing = this.state.hiddenAt ? now - this.state.hiddenAt : 0;
+        return {
+            awaySeconds: Math.round((this.state.awayTime + ongoing) / 1000),
+            awayCount: this.state.awayCount
+        };
+    },
+
+    /**
+     * Get whole seconds studied in the current flow session, not counting pauses or strict-mode time away
+     * Based on the wall clock, like getSecondsLeft()
+     * @returns {number} Seconds elapsed
+     */
+    getElapsedSeconds() {
+        if (!this.state.startTime) return 0;
+
+        const until = this.state.pausedAt || (this.state.awayPaused && this.state.hiddenAt) || Date.now();
+        const stopped = this.state.pausedTime + this.state.awayPausedTime;
+        return Math.max(0, Math.floor((until - this.state.startTime - stopped) / 1000));
+    },
+
+    /**
+     * Check if a work mode is one that counts as study time
+     * @param {string} mode - Timer mode
+     * @returns {boolean} True for 'work' and 'flow'
+     */
+    isStudyMode(mode) {
+        return mode === 'work' || mode === 'flow';
+    },
+
+    /**
+     * Get how many flow reminders are due so far
+     * @returns {number} Reminders due
+     */
+    getRemindersDue() {
+        const interval = this.options.flowReminderMinutes * 60;
+        if (this.state.mode !== 'flow' || interval <= 0) return 0;
+        return Math.floor(this.state.elapsed / interval);
+    },
+
+    /**
+     * Give a gentle reminder each time another reminder interval passes in flow mode
+     */
+    checkFlowReminder() {
+        const due = this.getRemindersDue();
+        if (due <= this.state.remindersShown) return;
+
+        this.state.remindersShown = due;
+        const minutes = Math.floor(this.state.elapsed / 60);
+        const suggestion = this.suggestBreakMinutes(this.state.elapsed);
+        const message = `${minutes} minutes in flow. Finish now for a ${suggestion}-minute break, or keep going 🌊`;
+
+        this.showNotice(message);
+        this.playChime();
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('Still in the flow?', { body: message });
+        }
+    },
+
+    /**
+     * Suggest a break length for a flow session: about one minute per five worked,
+     * kept between the short and long break lengths
+     * @param {number} workedSeconds - Seconds studied
+     * @returns {number} Break length in minutes
+     */
+    suggestBreakMinutes(workedSeconds) {
+        const suggested = Math.round(workedSeconds / 60 / 5);
+        return Math.min(this.durations.longBreak / 60, Math.max(this.durations.break / 60, suggested));
+    },
+
+    /**
+     * Finish the current flow session
+     * Sessions shorter than MIN_PARTIAL_SECONDS are discarded
+     */
+    finish() {
+        if (this.state.mode !== 'flow' || !this.state.startTime) return;
+
+        this.stop();
+        if (this.state.elapsed < this.MIN_PARTIAL_SECONDS) {
+            this.reset();
+            return;
+        }
+
+        this.complete();
+    },
+
+    /**
+     * Show or clear a short note under the timer
+     * @param {string} message - Note text (empty to clear)
+     */
+    showNotice(message) {
+        if (!this.elements.notice) return;
+        this.elements.notice.textContent = message;
+        this.elements.notice.classList.toggle('hidden', !message);
+    },
+
     /**
      * Handle timer completion
+     * @param {boolean} whileAway - True if the session ended while the page was closed
      */
-    complete() {
+    complete(whileAway = false) {
+        // Another tab may already have finished this session
+        const saved = Storage.getTimerState();
+        if (saved && saved.startTime !== this.state.startTime) {
+            this.applyState(saved);
+            return;
+        }
+
         // Stop timer
-        this.pause();
+        this.stop();
 
         // Play notification sound
-        this.playNotification();
+        if (!whileAway) {
+            this.playNotification();
+        }
 
-        // If work session completed, increment counter
-        if (this.state.mode === 'work') {
+        let nextMode;
+        let breakMinutes = null;
+
+        // If a study session completed, increment counter
+        if (this.state.mode === 'flow') {
+            const worked = this.state.elapsed;
             Storage.incrementSession();
-            Storage.addStudyTime(this.durations.work / 60);
+            Storage.addStudyTime(worked / 60);
             this.loadTimerData();
 
-            // Suggest break
-            this.showCompletionMessage('Work session complete! Time for a break? 🎉');
+            // Flow sessions earn a break sized to the work done
+            breakMinutes = this.suggestBreakMinutes(worked);
+            this.showCompletionMessage(
+                `Flow session done: ${Math.round(worked / 60)} minutes! Take a ${breakMinutes}-minute break 🌊`
+            );
+            nextMode = 'break';
+        } else if (this.state.mode === 'work') {
+            Storage.incrementSession();
+            Storage.addStudyTime((this.state.duration || this.durations.work) / 60);
+            this.loadTimerData();
+
+            // Every Nth session earns a long break
+            this.state.cycleCount = (this.state.cycleCount % this.options.sessionsPerCycle) + 1;
+            nextMode = this.state.cycleCount === this.options.sessionsPerCycle ? 'longBreak' : 'break';
 
-            // Auto-switch to break mode
-            this.elements.modeSelect.value = 'break';
-            this.changeMode('break');
+            // Suggest break
+            if (nextMode === 'longBreak') {
+                this.showCompletionMessage('Cycle complete! Enjoy a long break 🌴');
+            } else {
+                this.showCompletionMessage(whileAway
+                    ? 'Work session finished while you were away! Time for a break? 🎉'
+                    : 'Work session complete! Time for a break? 🎉');
+            }
         } else {
+            // A long break ends the cycle
+            if (this.state.mode === 'longBreak') {
+                this.state.cycleCount = 0;
+            }
+
             // Break completed, switch back to work
             this.showCompletionMessage('Break complete! Ready to get back to studying? 💪');
+            nextMode = 'work';
+        }
+
+        // Sum up time spent on other tabs before it is cleared
+        const away = this.isStudyMode(this.state.mode) ? this.getAwayTotals(Date.now()) : null;
+
+        // Switch to the next phase
+        this.clearSession();
+        this.elements.modeSelect.value = nextMode;
+        this.changeMode(nextMode);
 
-            // Auto-switch to work mode
-            this.elements.modeSelect.value = 'work';
-            this.changeMode('work');
+        if (away) {
+            this.showNotice(away.awayCount > 0
+                ? `👀 This session you left the page ${away.awayCount} time${away.awayCount === 1 ? '' : 's'} ` +
+                  `for ${Stats.formatTime(away.awaySeconds)} in total.`
+                : '🎯 This session you stayed on the page the whole time.');
+        }
+
+        if (breakMinutes) {
+            // Saved as the break's length so a reload before it starts keeps the earned time
+            this.state.timeRemaining = breakMinutes * 60;
+            this.state.duration = this.state.timeRemaining;
+            this.updateDisplay();
+            this.saveState();
+        }
+
+        // Start it right away, or wait for Start
+        const autoStart = nextMode === 'work' ? this.options.autoStartWork : this.options.autoStartBreaks;
+        if (autoStart && !whileAway) {
+            this.start();
         }
     },
 
+    /**
+     * Credit a work or flow session stopped before it finished
+     * Sessions shorter than MIN_PARTIAL_SECONDS are dropped; finished ones are credited by complete()
+     */
+    creditPartial() {
+        if (!this.isStudyMode(this.state.mode) || !this.state.startTime) return;
+        if (this.state.mode === 'work' && this.state.timeRemaining <= 0) return;
+
+        const detail = this.getSessionDetail(Date.now());
+        if (detail.duration < this.MIN_PARTIAL_SECONDS) return;
+
+        Storage.addStudyTime(detail.duration / 60);
+
+        document.dispatchEvent(new CustomEvent('timerStopped', {
+            detail: { ...detail, partial: true }
+        }));
+    },
+
+    /**
+     * Describe the current session for timerComplete and timerStopped listeners
+     * @param {number} endTime - When the session ended (ms since epoch)
+     * @returns {Object} Mode, startTime, endTime, duration (focused seconds), pausedSeconds, pauses, awaySeconds and awayCount
+     */
+    getSessionDetail(endTime) {
+        const ongoingPause = this.state.pausedAt ? endTime - this.state.pausedAt : 0;
+
+        return {
+            mode: this.state.mode,
+            startTime: this.state.startTime,
+            endTime,
+            duration: this.state.mode === 'flow'
+                ? this.state.elapsed
+                : (this.state.duration || this.durations[this.state.mode]) - this.state.timeRemaining,
+            pausedSeconds: Math.round((this.state.pausedTime + ongoingPause) / 1000),
+            pauses: this.state.pauseCount,
+            ...this.getAwayTotals(endTime)
+        };
+    },
+
     /**
      * Show completion message
      * @param {string} message - Message to display
@@ -263,7 +847,11 @@ const Timer = {
     showCompletionMessage(message) {
         // Trigger event that app.js can handle
         const event = new CustomEvent('timerComplete', {
-            detail: { message, mode: this.state.mode }
+            detail: {
+                message,
+                ...this.getSessionDetail(this.state.endTime || Date.now()),
+                partial: false
+            }
         });
         document.dispatchEvent(event);
     },
@@ -272,8 +860,10 @@ const Timer = {
      * Update timer display
      */
     updateDisplay() {
-        const minutes = Math.floor(this.state.timeRemaining / 60);
-        const seconds = this.state.timeRemaining % 60;
+        // Flow mode shows time studied instead of time left
+        const shown = this.state.mode === 'flow' ? this.state.elapsed : this.state.timeRemaining;
+        const minutes = Math.floor(shown / 60);
+        const seconds = shown % 60;
 
         this.elements.display.textContent =
             `${this.formatNumber(minutes)}:${this.formatNumber(seconds)}`;
@@ -282,10 +872,64 @@ const Timer = {
         if (this.state.mode === 'work') {
             this.elements.circle.style.background =
                 'linear-gradient(135deg, var(--primary-light), var(--secondary-color))';
+        } else if (this.state.mode === 'longBreak') {
+            this.elements.circle.style.background =
+                'linear-gradient(135deg, var(--success-color), var(--accent-color))';
+        } else if (this.state.mode === 'flow') {
+            this.elements.circle.style.background =
+                'linear-gradient(135deg, var(--primary-color), var(--accent-color))';
         } else {
             this.elements.circle.style.background =
                 'linear-gradient(135deg, var(--success-color), var(--primary-color))';
         }
+
+        // Finish only applies to a flow session under way
+        if (this.elements.finishBtn) {
+            this.elements.finishBtn.classList.toggle('hidden', this.state.mode !== 'flow');
+            this.elements.finishBtn.disabled = !this.state.startTime;
+        }
+
+        this.updateCycle();
+    },
+
+    /**
+     * Update the cycle indicator (one dot per work session in the cycle)
+     */
+    updateCycle() {
+        if (!this.elements.cycleDots) return;
+
+        // Flow sessions sit outside the Pomodoro cycle
+        if (this.state.mode === 'flow') {
+            this.elements.cycleDots.innerHTML = '';
+            this.elements.cycleLabel.textContent = this.state.elapsed >= 60
+                ? `Counting up • Break earned so far: ${this.suggestBreakMinutes(this.state.elapsed)} min`
+                : 'Counting up • Press Finish when you\'re done';
+            return;
+        }
+
+        const total = this.options.sessionsPerCycle;
+        const done = Math.min(this.state.cycleCount, total);
+        // After a full cycle the next work session starts a new one
+        const filled = this.state.mode === 'work' && done === total ? 0 : done;
+
+        this.elements.cycleDots.innerHTML = '';
+        for (let i = 0; i < total; i++) {
+            const dot = document.createElement('span');
+            dot.className = 'cycle-dot';
+            dot.classList.toggle('filled', i < filled);
+            dot.classList.toggle('current', this.state.mode === 'work' && i === filled);
+            this.elements.cycleDots.appendChild(dot);
+        }
+
+        if (this.state.mode === 'work') {
+            this.elements.cycleLabel.textContent = `Session ${filled + 1} of ${total}`;
+        } else if (this.state.mode === 'longBreak') {
+            this.elements.cycleLabel.textContent = 'Long break — cycle complete!';
+        } else {
+            const left = total - done;
+            this.elements.cycleLabel.textContent =
+                `${left} session${left === 1 ? '' : 's'} until a long break`;
+        }
     },
 
     /**
@@ -301,29 +945,60 @@ const Timer = {
      * Play notification sound when timer completes
      */
     playNotification() {
-        // Use Web Audio API for a simple beep
+        this.playChime();
+
+        // Also try browser notification if permitted
+        this.showBrowserNotification();
+    },
+
+    /**
+     * Get the shared audio context, creating it on first use
+     * @returns {AudioContext} Audio context
+     */
+    getAudioContext() {
+        if (!this.audioContext) {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+
+        // Browsers suspend audio until the page has been interacted with
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+
+        return this.audioContext;
+    },
+
+    /**
+     * Play a short chime
+     * @param {string} name - Key of CHIMES (defaults to the chosen chime)
+     */
+    playChime(name = this.options.chime) {
+        const chime = this.CHIMES[name] || this.CHIMES.beep;
+
+        // Use Web Audio API, one oscillator per note
         try {
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
+            const audioContext = this.getAudioContext();
+            const now = audioContext.currentTime;
 
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
+            chime.notes.forEach(([frequency, start, length]) => {
+                const oscillator = audioContext.createOscillator();
+                const gainNode = audioContext.createGain();
 
-            oscillator.frequency.value = 800;
-            oscillator.type = 'sine';
+                oscillator.connect(gainNode);
+                gainNode.connect(audioContext.destination);
 
-            gainNode.gain.setValueAtTime(0.3, audioContext.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.5);
+                oscillator.frequency.value = frequency;
+                oscillator.type = chime.type;
 
-            oscillator.start(audioContext.currentTime);
-            oscillator.stop(audioContext.currentTime + 0.5);
+                gainNode.gain.setValueAtTime(chime.volume, now + start);
+                gainNode.gain.exponentialRampToValueAtTime(0.01, now + start + length);
+
+                oscillator.start(now + start);
+                oscillator.stop(now + start + length);
+            });
         } catch (error) {
             console.log('Audio notification not available:', error);
         }
-
-        // Also try browser notification if permitted
-        this.showBrowserNotification();
     },
 
     /**
@@ -331,11 +1006,11 @@ const Timer = {
      */
     showBrowserNotification() {
         if ('Notification' in window && Notification.permission === 'granted') {
-            const title = this.state.mode === 'work'
+            const title = this.isStudyMode(this.state.mode)
                 ? 'Study Session Complete!'
-                : 'Break Time Over!';
+                : this.state.mode === 'longBreak' ? 'Long Break Over!' : 'Break Time Over!';
 
-            const body = this.state.mode === 'work'
+            const body = this.isStudyMode(this.state.mode)
                 ? 'Great job! Time for a break.'
                 : 'Ready to get back to studying?';
 
@@ -368,10 +1043,12 @@ const Timer = {
      * Set custom durations
      * @param {number} workMinutes - Work duration in minutes
      * @param {number} breakMinutes - Break duration in minutes
+     * @param {number} longBreakMinutes - Long break duration in minutes
      */
-    setDurations(workMinutes, breakMinutes) {
+    setDurations(workMinutes, breakMinutes, longBreakMinutes = this.durations.longBreak / 60) {
         this.durations.work = workMinutes * 60;
         this.durations.break = breakMinutes * 60;
+        this.durations.longBreak = longBreakMinutes * 60;
 
         // Update input fields if they exist
         if (this.elements.workDurationInput) {
@@ -380,14 +1057,93 @@ const Timer = {
         if (this.elements.breakDurationInput) {
             this.elements.breakDurationInput.value = breakMinutes;
         }
+        if (this.elements.longBreakDurationInput) {
+            this.elements.longBreakDurationInput.value = longBreakMinutes;
+        }
 
         // Update select options display
         if (this.elements.modeSelect) {
-            this.elements.modeSelect.options[0].text = `Study (${workMinutes} min)`;
-            this.elements.modeSelect.options[1].text = `Break (${breakMinutes} min)`;
+            Array.from(this.elements.modeSelect.options).forEach(option => {
+                option.text = option.value === 'flow'
+                    ? `${this.MODE_LABELS.flow} (count up)`
+                    : `${this.MODE_LABELS[option.value]} (${this.durations[option.value] / 60} min)`;
+            });
+        }
+
+        // Reset timer with new duration (a session under way keeps its own end time,
+        // and an earned flow break not yet started keeps its length)
+        if (!this.state.startTime && !this.state.duration) {
+            this.reset();
+        }
+    },
+
+    /**
+     * Set cycle options
+     * @param {number} sessionsPerCycle - Work sessions before a long break
+     * @param {boolean} autoStartBreaks - Start breaks automatically
+     * @param {boolean} autoStartWork - Start work sessions automatically
+     */
+    setCycleOptions(sessionsPerCycle, autoStartBreaks, autoStartWork) {
+        this.options.sessionsPerCycle = sessionsPerCycle;
+        this.options.autoStartBreaks = autoStartBreaks;
+        this.options.autoStartWork = autoStartWork;
+
+        // Update input fields if they exist
+        if (this.elements.sessionsPerCycleInput) {
+            this.elements.sessionsPerCycleInput.value = sessionsPerCycle;
+        }
+        if (this.elements.autoStartBreaksInput) {
+            this.elements.autoStartBreaksInput.checked = autoStartBreaks;
+        }
+        if (this.elements.autoStartWorkInput) {
+            this.elements.autoStartWorkInput.checked = autoStartWork;
+        }
+
+        this.updateCycle();
+    },
+
+    /**
+     * Set the flow mode reminder interval
+     * @param {number} minutes - Minutes between reminders (0 = off)
+     */
+    setFlowReminder(minutes) {
+        this.options.flowReminderMinutes = minutes;
+        this.state.remindersShown = this.getRemindersDue();
+
+        // Update input field if it exists
+        if (this.elements.flowReminderInput) {
+            this.elements.flowReminderInput.value = minutes;
+        }
+    },
+
+    /**
+     * Set focus tracking options
+     * @param {number} awayNudgeSeconds - Seconds away before a nudge notification (0 = off)
+     * @param {boolean} strictMode - Pause study sessions while the page is hidden
+     */
+    setFocusOptions(awayNudgeSeconds, strictMode) {
+        this.options.awayNudgeSeconds = awayNudgeSeconds;
+        this.options.strictMode = strictMode;
+
+        // Update input fields if they exist
+        if (this.elements.awayNudgeInput) {
+            this.elements.awayNudgeInput.value = awayNudgeSeconds;
         }
+        if (this.elements.strictModeInput) {
+            this.elements.strictModeInput.checked = strictMode;
+        }
+    },
 
-        // Reset timer with new duration
-        this.reset();
+    /**
+     * Set the completion chime
+     * @param {string} name - Key of CHIMES
+     */
+    setChime(name) {
+        this.options.chime = this.CHIMES[name] ? name : 'beep';
+
+        // Update select if it exists
+        if (this.elements.chimeSelect) {
+            this.elements.chimeSelect.value = this.options.chime;
+        }
     }
 };